@@ -0,0 +1,305 @@
+// Assets Module
+// Lists the files loaded into the WASM filesystem (type, size and the uniform they are bound to),
+// lets them be renamed, replaced or removed, and encodes them as text to be stored on gists
+
+const assetTypes = {
+    image: ['png', 'tga', 'psd', 'gif', 'bmp', 'jpg', 'jpeg'],
+    video: ['mov', 'mp4', 'm4v', 'webm', 'mkv', 'ogv', 'mpg', 'mpeg', 'h264'],
+    model: ['ply', 'obj', 'stl', 'glb', 'gltf', 'splat'],
+    cubemap: ['hdr'],
+    sequence: ['seq'],
+    data: ['csv']
+};
+
+export function getAssetType(name) {
+    const ext = name.split('.').pop().toLowerCase();
+    const type = Object.keys(assetTypes).find((key) => assetTypes[key].includes(ext));
+    return type || 'file';
+}
+
+// Shaders, include files and command scripts are never what a model references
+const sourceExtensions = ['frag', 'fs', 'vert', 'vs', 'glsl', 'cmds'];
+
+// Files dropped inside the folder of a model (or below it) are the ones the model references
+// (materials, buffers, textures), written next to it but not loaded on their own
+export function getModelDependencies(names) {
+    const dirname = (name) => name.substring(0, name.lastIndexOf('/') + 1);
+    const modelDirs = names
+        .filter((name) => name.includes('/') && getAssetType(name) === 'model')
+        .map(dirname);
+
+    return new Set(names.filter((name) => {
+        const ext = name.split('.').pop().toLowerCase();
+        if (getAssetType(name) === 'model' || sourceExtensions.includes(ext)) return false;
+        return modelDirs.some((dir) => name.startsWith(dir));
+    }));
+}
+
+export function formatSize(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
+// Assets bigger than this are gzipped when saved, if that makes them any smaller
+const compressThreshold = 256 * 1024;
+
+export function bytesToBase64(bytes) {
+    // In chunks, spreading a whole texture into fromCharCode overflows the stack
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return window.btoa(binary);
+}
+
+export function base64ToBytes(base64) {
+    const binary = window.atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+async function pipeBytes(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+// Gist files only hold text, so a data URL asset becomes
+// { type, encoding, size, content } with content in base64, gzipped first when it pays off
+export async function encodeAsset(dataUrl) {
+    const type = dataUrl.substring(5, dataUrl.indexOf(';')) || 'application/octet-stream';
+    const base64 = dataUrl.split(',')[1];
+    const bytes = base64ToBytes(base64);
+
+    if (bytes.length > compressThreshold && typeof CompressionStream !== 'undefined') {
+        const compressed = await pipeBytes(bytes, new CompressionStream('gzip'));
+        if (compressed.length < bytes.length) {
+            return { type, encoding: 'gzip', size: bytes.length, content: bytesToBase64(compressed) };
+        }
+    }
+    return { type, encoding: 'base64', size: bytes.length, content: base64 };
+}
+
+// Back from encodeAsset, to the bytes for the WASM filesystem and a data URL to keep
+export async function decodeAsset(asset) {
+    if (typeof asset.content !== 'string') throw new Error('missing content');
+
+    let data = base64ToBytes(asset.content);
+    if (asset.encoding === 'gzip') {
+        data = await pipeBytes(data, new DecompressionStream('gzip'));
+    } else if (asset.encoding !== 'base64') {
+        throw new Error('unknown encoding ' + asset.encoding);
+    }
+
+    const base64 = (asset.encoding === 'base64') ? asset.content : bytesToBase64(data);
+    return { data, dataUrl: 'data:' + (asset.type || 'application/octet-stream') + ';base64,' + base64 };
+}
+
+export class AssetsPanel {
+    constructor(glslviewer, elementId, updateLoaderCallback) {
+        this.glslviewer = glslviewer;
+        this.element = document.getElementById(elementId);
+        this.updateLoaderCallback = updateLoaderCallback;
+        this.onChange = null;
+
+        // One file input shared by every Replace button
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (file && this.replacing) this.replace(this.replacing, file);
+        });
+        document.body.appendChild(this.fileInput);
+
+        ['assetLoaded', 'assetFailed', 'assetRemoved', 'assetRenamed'].forEach((type) => {
+            this.glslviewer.on(type, () => this.render());
+        });
+        this.render();
+    }
+
+    changed(name) {
+        this.render();
+        if (this.onChange) this.onChange(name);
+    }
+
+    rename(name) {
+        const to = prompt('Rename ' + name + ' to:', name);
+        if (!to || to === name) return;
+
+        this.glslviewer.renameAsset(name, to.trim())
+            .then(() => this.changed(to))
+            .catch((err) => this.glslviewer.logCallback('Error renaming ' + name + ': ' + err.message, true));
+    }
+
+    replace(name, file) {
+        this.replacing = null;
+        this.glslviewer.replaceAsset(name, file, this.updateLoaderCallback)
+            .then(() => this.changed(name))
+            .catch((err) => this.glslviewer.logCallback('Error replacing ' + name + ': ' + err.message, true));
+    }
+
+    remove(name) {
+        if (!confirm('Remove ' + name + ' from this project?')) return;
+
+        this.glslviewer.removeAsset(name)
+            .then(() => this.changed(name))
+            .catch((err) => this.glslviewer.logCallback('Error removing ' + name + ': ' + err.message, true));
+    }
+
+    createSequenceControls(name, sequence) {
+        const controls = document.createElement('div');
+        controls.className = 'asset-sequence';
+
+        const fps = document.createElement('input');
+        fps.type = 'number';
+        fps.min = 1;
+        fps.max = 120;
+        fps.value = sequence.fps;
+        fps.title = 'Frames per second';
+        fps.addEventListener('change', () => {
+            const value = parseFloat(fps.value);
+            if (value > 0) this.updateSequence(name, { fps: value });
+        });
+
+        const loop = document.createElement('input');
+        loop.type = 'checkbox';
+        loop.checked = sequence.loop;
+        loop.addEventListener('change', () => this.updateSequence(name, { loop: loop.checked }));
+
+        const fpsLabel = document.createElement('label');
+        fpsLabel.append(sequence.frames + ' frames at ', fps, ' fps');
+        const loopLabel = document.createElement('label');
+        loopLabel.append(loop, ' loop');
+        controls.append(fpsLabel, loopLabel);
+        return controls;
+    }
+
+    createVideoControls(name, video) {
+        const controls = document.createElement('div');
+        controls.className = 'asset-video';
+
+        const play = document.createElement('button');
+        const seek = document.createElement('input');
+        seek.type = 'range';
+        seek.min = 0;
+        seek.max = 1000;
+        const time = document.createElement('span');
+
+        const update = () => {
+            play.textContent = video.paused ? 'Play' : 'Pause';
+            const duration = video.duration || 0;
+            seek.value = duration ? (video.currentTime / duration) * 1000 : 0;
+            time.textContent = video.currentTime.toFixed(1) + ' / ' + duration.toFixed(1) + 's';
+        };
+        update();
+
+        play.addEventListener('click', () => {
+            if (video.paused) this.glslviewer.videos.play(name);
+            else this.glslviewer.videos.pause(name);
+        });
+        seek.addEventListener('input', () => {
+            this.glslviewer.videos.seek(name, (seek.value / 1000) * (video.duration || 0));
+        });
+
+        // Follows the video while the panel shows it
+        ['play', 'pause', 'timeupdate'].forEach((type) => {
+            const listener = () => {
+                if (!controls.isConnected) video.removeEventListener(type, listener);
+                else update();
+            };
+            video.addEventListener(type, listener);
+        });
+
+        controls.append(play, seek, time);
+        return controls;
+    }
+
+    updateSequence(name, options) {
+        this.glslviewer.setSequenceOptions(name, options)
+            .then(() => { if (this.onChange) this.onChange(name); })
+            .catch((err) => this.glslviewer.logCallback('Error updating ' + name + ': ' + err.message, true));
+    }
+
+    render() {
+        if (!this.element) return;
+        this.element.innerHTML = '';
+
+        const assets = this.glslviewer.getExternalAssets();
+        const names = Object.keys(assets);
+        if (names.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'asset-empty';
+            empty.textContent = 'No assets. Drop images, videos, models or .hdr files on the canvas';
+            this.element.appendChild(empty);
+            return;
+        }
+
+        const dependencies = getModelDependencies(names);
+        names.forEach((name) => {
+            const type = getAssetType(name);
+            const uniform = dependencies.has(name) ? 'model file' : this.glslviewer.getAssetUniform(name);
+
+            const item = document.createElement('div');
+            item.className = 'asset-item';
+
+            const thumbnail = document.createElement('div');
+            thumbnail.className = 'asset-thumbnail';
+            if (type === 'image') {
+                const img = document.createElement('img');
+                img.src = assets[name];
+                img.alt = name;
+                thumbnail.appendChild(img);
+            } else {
+                thumbnail.textContent = type;
+            }
+            item.appendChild(thumbnail);
+
+            const info = document.createElement('div');
+            info.className = 'asset-info';
+
+            const title = document.createElement('div');
+            title.className = 'asset-name';
+            title.textContent = name;
+            title.title = name;
+            info.appendChild(title);
+
+            const details = document.createElement('div');
+            details.className = 'asset-details';
+            details.textContent = [type, formatSize(this.glslviewer.getAssetSize(name)), uniform]
+                .filter((text) => text).join(' · ');
+            info.appendChild(details);
+
+            const sequence = this.glslviewer.getSequence(name);
+            if (sequence) info.appendChild(this.createSequenceControls(name, sequence));
+
+            const video = this.glslviewer.videos.get(name);
+            if (video) info.appendChild(this.createVideoControls(name, video.video));
+
+            const buttons = document.createElement('div');
+            buttons.className = 'asset-buttons';
+            [
+                ['Rename', () => this.rename(name)],
+                ['Replace', () => {
+                    this.replacing = name;
+                    this.fileInput.accept = '.' + name.split('.').pop();
+                    this.fileInput.click();
+                }],
+                ['Delete', () => this.remove(name)]
+            ].forEach(([label, action]) => {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.addEventListener('click', action);
+                buttons.appendChild(button);
+            });
+            info.appendChild(buttons);
+
+            item.appendChild(info);
+            this.element.appendChild(item);
+        });
+    }
+}
@@ -0,0 +1,161 @@
+// Camera Module
+// Camera input: streams a webcam (getUserMedia) into a u_tex uniform every frame, like the
+// native --video devices, with device selection and mirroring
+
+export const cameraAssetName = 'camera';
+
+export class CameraInput {
+    constructor(glslviewer, elementId, logCallback) {
+        this.glslviewer = glslviewer;
+        this.element = document.getElementById(elementId);
+        this.logCallback = logCallback;
+        this.stream = null;
+        this.uniform = '';
+        this.devices = [];
+        this.deviceId = localStorage.getItem('camera_device') || '';
+        this.mirror = localStorage.getItem('camera_mirror') !== 'false';
+        this.onChange = null;
+
+        this.render();
+        this.listDevices().then(() => this.render()).catch(() => {});
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => {
+                this.listDevices().then(() => this.render()).catch(() => {});
+            });
+        }
+    }
+
+    isRunning() {
+        return this.stream !== null;
+    }
+
+    async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        // Labels only show once the page was allowed to use a camera
+        this.devices = devices.filter((device) => device.kind === 'videoinput');
+        return this.devices;
+    }
+
+    // source: a device id, or a MediaStream to use instead of asking for one (like a fake
+    // stream from canvas.captureStream()). Resolves with the uniform it streams to
+    async start(source = this.deviceId) {
+        this.stop();
+
+        let stream = source;
+        if (!(source instanceof MediaStream)) {
+            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+                throw new Error('Camera input is not supported by this browser');
+            }
+            stream = await navigator.mediaDevices.getUserMedia({
+                video: source ? { deviceId: { exact: source } } : true,
+                audio: false
+            });
+        }
+
+        this.stream = stream;
+        try {
+            this.uniform = await this.glslviewer.addStream(cameraAssetName, stream, { mirror: this.mirror });
+        } catch (err) {
+            this.stop();
+            throw err;
+        }
+
+        this.logCallback('Camera streaming to ' + this.uniform);
+        await this.listDevices().catch(() => []);
+        this.changed();
+        return this.uniform;
+    }
+
+    stop() {
+        if (!this.stream) return;
+
+        this.stream.getTracks().forEach((track) => track.stop());
+        this.stream = null;
+        this.uniform = '';
+        this.glslviewer.removeStream(cameraAssetName);
+        this.changed();
+    }
+
+    setDevice(deviceId) {
+        this.deviceId = deviceId;
+        try {
+            localStorage.setItem('camera_device', deviceId);
+        } catch (e) {
+            console.error('Error saving camera device:', e);
+        }
+        if (this.isRunning()) this.toggle(deviceId);
+    }
+
+    setMirror(mirror) {
+        this.mirror = mirror;
+        try {
+            localStorage.setItem('camera_mirror', mirror);
+        } catch (e) {
+            console.error('Error saving camera mirroring:', e);
+        }
+        this.glslviewer.videos.setMirror(cameraAssetName, mirror);
+    }
+
+    // Starts the camera (again, if it runs with another device) or stops it
+    toggle(deviceId = null) {
+        if (this.isRunning() && deviceId === null) {
+            this.stop();
+            return;
+        }
+        this.start(deviceId !== null ? deviceId : this.deviceId)
+            .catch((err) => this.logCallback('Error starting camera: ' + err.message, true));
+    }
+
+    changed() {
+        this.render();
+        if (this.onChange) this.onChange(this.uniform);
+    }
+
+    render() {
+        if (!this.element) return;
+        this.element.innerHTML = '';
+
+        const row = document.createElement('div');
+        row.className = 'camera-row';
+
+        const title = document.createElement('span');
+        title.className = 'camera-title';
+        title.textContent = 'Camera' + (this.uniform ? ' · ' + this.uniform : '');
+        row.appendChild(title);
+
+        const button = document.createElement('button');
+        button.textContent = this.isRunning() ? 'Stop' : 'Start';
+        button.addEventListener('click', () => this.toggle());
+        row.appendChild(button);
+        this.element.appendChild(row);
+
+        const options = document.createElement('div');
+        options.className = 'camera-row';
+
+        const select = document.createElement('select');
+        const any = document.createElement('option');
+        any.value = '';
+        any.textContent = 'Default camera';
+        select.appendChild(any);
+        this.devices.forEach((device, i) => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label || 'Camera ' + (i + 1);
+            select.appendChild(option);
+        });
+        select.value = this.deviceId;
+        select.addEventListener('change', () => this.setDevice(select.value));
+        options.appendChild(select);
+
+        const mirror = document.createElement('input');
+        mirror.type = 'checkbox';
+        mirror.checked = this.mirror;
+        mirror.addEventListener('change', () => this.setMirror(mirror.checked));
+        const mirrorLabel = document.createElement('label');
+        mirrorLabel.append(mirror, ' mirror');
+        options.appendChild(mirrorLabel);
+
+        this.element.appendChild(options);
+    }
+}
@@ -0,0 +1,214 @@
+// Completion Module
+// Tab completion and argument hints for the console, built from the engine's
+// help output, the uniforms and defines it reports and the command schema
+
+import { getArgValues } from './schema.js';
+
+const maxSuggestions = 12;
+const uniformRegex = /uniform\s+(\w+)\s+(\w+)\s*;/;
+const defineRegex = /^\s*(?:#define\s+)?([A-Za-z_]\w*)/;
+const componentsCount = { float: 1, int: 1, bool: 1, vec2: 2, vec3: 3, vec4: 4 };
+
+// Commands whose arguments are the name of a define
+const defineCommands = ['define', 'undefine'];
+
+export function parseHelp(text) {
+    // The first lines explain how to use help itself
+    return (text || '').split('\n')
+        .filter((line) => !/^\s*(Use:|help,)/.test(line))
+        .join(' ')
+        .split(/\s+/)
+        .filter((trigger) => /^[\w-]+$/.test(trigger));
+}
+
+export function parseUsage(text) {
+    // <formula>   <description>
+    const match = (text || '').trim().match(/^(\S+)\s+(.*)$/);
+    return match ? { usage: match[1], description: match[2].trim() } : null;
+}
+
+export class ConsoleCompletion {
+    constructor(glslviewer, inputId) {
+        this.glslviewer = glslviewer;
+        this.input = document.getElementById(inputId);
+        this.commands = [];
+        this.uniforms = [];
+        this.defines = [];
+        this.suggestions = [];
+        this.selected = 0;
+        this.loaded = false;
+
+        if (!this.input) return;
+
+        this.popup = document.createElement('div');
+        this.popup.id = 'console-completions';
+        this.hint = document.createElement('div');
+        this.hint.id = 'console-hint';
+        this.input.parentElement.appendChild(this.popup);
+        this.input.parentElement.appendChild(this.hint);
+
+        this.setupEvents();
+    }
+
+    load() {
+        if (!this.glslviewer.isModuleReady()) return false;
+
+        // Engine commands don't change, ask for their usage once
+        if (!this.loaded) {
+            this.commands = parseHelp(this.glslviewer.query('help')).map((trigger) => {
+                const usage = parseUsage(this.glslviewer.query('help,' + trigger));
+                return {
+                    name: trigger,
+                    usage: usage ? usage.usage : trigger,
+                    description: usage ? usage.description : ''
+                };
+            });
+            this.loaded = this.commands.length > 0;
+        }
+
+        // Uniforms and defines change with the shader
+        this.uniforms = [];
+        (this.glslviewer.query('uniforms') || '').split('\n').forEach((line) => {
+            const match = line.match(uniformRegex);
+            if (!match || this.uniforms.some((u) => u.name === match[2])) return;
+
+            const count = componentsCount[match[1]];
+            const args = count ? ['x', 'y', 'z', 'w'].slice(0, count).map((c) => '<' + c + '>').join(',') : '<value>';
+            this.uniforms.push({ name: match[2], usage: match[2] + '[,' + args + ']', description: match[1] + ' uniform' });
+        });
+
+        this.defines = [];
+        (this.glslviewer.query('defines') || '').split('\n').forEach((line) => {
+            const match = line.match(defineRegex);
+            if (match && !this.defines.includes(match[1])) this.defines.push(match[1]);
+        });
+
+        return true;
+    }
+
+    find(name) {
+        return this.commands.find((c) => c.name === name) || this.uniforms.find((u) => u.name === name) || null;
+    }
+
+    // Returns { suggestions, hint } for the text typed so far
+    complete(text) {
+        const parts = text.split(',');
+        const first = parts[0].trim();
+
+        if (parts.length === 1) {
+            const suggestions = [...this.commands, ...this.uniforms]
+                .filter((c) => c.name.startsWith(first) && c.name !== first)
+                .slice(0, maxSuggestions)
+                .map((c) => ({ ...c, value: c.name }));
+            return { suggestions, hint: first ? this.find(first) : null };
+        }
+
+        const command = this.find(first);
+        const last = parts[parts.length - 1];
+        const before = parts.slice(0, -1).join(',') + ',';
+        let suggestions = [];
+        if (defineCommands.includes(first) && parts.length === 2) {
+            suggestions = this.defines
+                .filter((name) => name.startsWith(last) && name !== last)
+                .slice(0, maxSuggestions)
+                .map((name) => ({ name, usage: name, description: 'define', value: before + name }));
+        } else {
+            // Values of enum arguments, like the plot modes
+            suggestions = getArgValues(first, parts.slice(1, -1), parts.length - 2)
+                .filter((value) => value.startsWith(last) && value !== last)
+                .slice(0, maxSuggestions)
+                .map((value) => ({ name: value, usage: value, description: first, value: before + value }));
+        }
+        return { suggestions, hint: command };
+    }
+
+    update() {
+        if (!this.loaded && !this.load()) return;
+
+        const result = this.complete(this.input.value);
+        this.suggestions = this.input.value ? result.suggestions : [];
+        this.selected = 0;
+        this.render();
+
+        if (result.hint) {
+            this.hint.textContent = result.hint.usage + (result.hint.description ? '  ' + result.hint.description : '');
+            this.hint.style.display = 'block';
+        } else {
+            this.hint.style.display = 'none';
+        }
+    }
+
+    render() {
+        this.popup.innerHTML = '';
+        if (this.suggestions.length === 0) {
+            this.popup.style.display = 'none';
+            return;
+        }
+
+        this.suggestions.forEach((suggestion, i) => {
+            const item = document.createElement('div');
+            item.className = 'completion-item' + (i === this.selected ? ' selected' : '');
+
+            const usage = document.createElement('span');
+            usage.className = 'completion-usage';
+            usage.textContent = suggestion.usage;
+            item.appendChild(usage);
+
+            const description = document.createElement('span');
+            description.className = 'completion-description';
+            description.textContent = suggestion.description;
+            item.appendChild(description);
+
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.accept(i);
+            });
+            this.popup.appendChild(item);
+        });
+        this.popup.style.display = 'block';
+    }
+
+    accept(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion) return;
+
+        // Commands with required arguments get their comma right away
+        const needsArgs = suggestion.value === suggestion.name && suggestion.usage.startsWith(suggestion.name + ',');
+        this.input.value = suggestion.value + (needsArgs ? ',' : '');
+        this.update();
+    }
+
+    hide() {
+        this.suggestions = [];
+        this.render();
+        this.hint.style.display = 'none';
+    }
+
+    isOpen() {
+        return this.suggestions.length > 0;
+    }
+
+    setupEvents() {
+        // Uniforms and defines are refreshed every time the console gets focus
+        this.input.addEventListener('focus', () => this.load());
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('blur', () => this.hide());
+
+        // Capture, so keys used by the popup don't reach the console's own handlers
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') {
+                e.preventDefault();
+                if (this.isOpen()) this.accept(this.selected);
+                else this.update();
+            } else if (this.isOpen() && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                const step = (e.key === 'ArrowDown') ? 1 : -1;
+                this.selected = (this.selected + step + this.suggestions.length) % this.suggestions.length;
+                this.render();
+            } else if (e.key === 'Escape' || e.key === 'Enter') {
+                this.hide();
+            }
+        }, true);
+    }
+}
@@ -0,0 +1,177 @@
+// Console Module
+// Structured console output: typed entries with timestamps and source tags,
+// filters, search, collapsing of repeated lines, copy and download
+
+const maxEntries = 1000;
+
+export const entryTypes = {
+    command: 'Commands',
+    stdout: 'Output',
+    stderr: 'Errors',
+    info: 'Info'
+};
+
+function formatTime(date) {
+    return date.toTimeString().substring(0, 8);
+}
+
+export class ConsoleLog {
+    constructor(outputId, toolbarId) {
+        this.output = document.getElementById(outputId);
+        this.toolbar = document.getElementById(toolbarId);
+        this.entries = [];
+        this.filters = {};
+        Object.keys(entryTypes).forEach((type) => { this.filters[type] = true; });
+        this.search = '';
+
+        this.setupToolbar();
+    }
+
+    // type: one of entryTypes, source: who logged it (engine, app, console...)
+    log(text, type = 'info', source = 'app') {
+        if (text === undefined || text === null) return;
+        text = String(text);
+
+        // Bump the last entry when it is the same line again. Only the last one,
+        // collapsing older ones would take them away from what was logged around them
+        const last = this.entries[this.entries.length - 1];
+        if (last && last.text === text && last.type === type && last.source === source) {
+            last.count++;
+            last.time = new Date();
+            this.renderEntry(last);
+            this.scrollToBottom();
+            return;
+        }
+
+        const entry = { text, type, source, time: new Date(), count: 1, element: null };
+        this.entries.push(entry);
+        if (this.entries.length > maxEntries) {
+            const removed = this.entries.shift();
+            if (removed.element) removed.element.remove();
+        }
+
+        this.renderEntry(entry);
+        if (this.output) this.output.appendChild(entry.element);
+        this.scrollToBottom();
+    }
+
+    clear() {
+        this.entries = [];
+        if (this.output) this.output.innerHTML = '';
+    }
+
+    isVisible(entry) {
+        if (!this.filters[entry.type]) return false;
+        return !this.search || entry.text.toLowerCase().includes(this.search);
+    }
+
+    renderEntry(entry) {
+        if (!entry.element) {
+            entry.element = document.createElement('div');
+            entry.element.className = 'console-entry ' + entry.type;
+        }
+        const element = entry.element;
+        element.innerHTML = '';
+
+        const time = document.createElement('span');
+        time.className = 'console-time';
+        time.textContent = formatTime(entry.time);
+        element.appendChild(time);
+
+        const source = document.createElement('span');
+        source.className = 'console-source';
+        source.textContent = entry.source;
+        element.appendChild(source);
+
+        const text = document.createElement('span');
+        text.className = 'console-text';
+        text.textContent = (entry.type === 'command' ? '> ' : '') + entry.text;
+        element.appendChild(text);
+
+        if (entry.count > 1) {
+            const count = document.createElement('span');
+            count.className = 'console-count';
+            count.textContent = entry.count;
+            element.appendChild(count);
+        }
+
+        element.style.display = this.isVisible(entry) ? '' : 'none';
+    }
+
+    applyFilters() {
+        this.entries.forEach((entry) => {
+            if (entry.element) entry.element.style.display = this.isVisible(entry) ? '' : 'none';
+        });
+        this.scrollToBottom();
+    }
+
+    scrollToBottom() {
+        if (this.output) this.output.scrollTop = this.output.scrollHeight;
+    }
+
+    formatEntry(entry) {
+        return formatTime(entry.time) + ' [' + entry.source + '] ' +
+            (entry.type === 'command' ? '> ' : '') + entry.text +
+            (entry.count > 1 ? ' (x' + entry.count + ')' : '');
+    }
+
+    // Text of the entries that pass the filters, or of all of them
+    toText(visibleOnly = true) {
+        return this.entries
+            .filter((entry) => !visibleOnly || this.isVisible(entry))
+            .map((entry) => this.formatEntry(entry))
+            .join('\n') + '\n';
+    }
+
+    copy() {
+        return navigator.clipboard.writeText(this.toText(true))
+            .catch((err) => this.log('Error writing clipboard: ' + err.message, 'stderr'));
+    }
+
+    download() {
+        const url = URL.createObjectURL(new Blob([this.toText(false)], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        link.download = `glslviewer-console-${timestamp}.log`;
+        link.href = url;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 100);
+    }
+
+    setupToolbar() {
+        if (!this.toolbar) return;
+
+        Object.entries(entryTypes).forEach(([type, label]) => {
+            const toggle = document.createElement('button');
+            toggle.className = 'console-filter active ' + type;
+            toggle.textContent = label;
+            toggle.addEventListener('click', () => {
+                this.filters[type] = !this.filters[type];
+                toggle.classList.toggle('active', this.filters[type]);
+                this.applyFilters();
+            });
+            this.toolbar.appendChild(toggle);
+        });
+
+        const search = document.createElement('input');
+        search.type = 'text';
+        search.className = 'console-search';
+        search.placeholder = 'Filter...';
+        search.spellcheck = false;
+        search.addEventListener('input', () => {
+            this.search = search.value.toLowerCase();
+            this.applyFilters();
+        });
+        this.toolbar.appendChild(search);
+
+        [['Copy', () => this.copy()], ['Download', () => this.download()], ['Clear', () => this.clear()]]
+            .forEach(([label, action]) => {
+                const button = document.createElement('button');
+                button.className = 'console-action';
+                button.textContent = label;
+                button.addEventListener('click', action);
+                this.toolbar.appendChild(button);
+            });
+    }
+}
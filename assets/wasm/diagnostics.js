@@ -0,0 +1,173 @@
+// Diagnostics Module
+// Parses shader compiler messages and shows them on the editor as inline widgets,
+// gutter markers and a clickable problems list
+
+// Compiler log formats, with the capture group index of each field
+const diagnosticFormats = [
+    // ANGLE / WebGL:   ERROR: 0:12: 'foo' : undeclared identifier
+    { regex: /^(ERROR|WARNING):\s*(\d+):(\d+):\s*(.*)$/i, severity: 1, source: 2, line: 3, message: 4 },
+    // Mesa:            0:12(5): error: 'foo' undeclared
+    { regex: /^(\d+):(\d+)\(\d+\):\s*(error|warning):\s*(.*)$/i, severity: 3, source: 1, line: 2, message: 4 },
+    // NVIDIA:          0(12) : error C1008: undefined variable "foo"
+    { regex: /^(\d+)\((\d+)\)\s*:\s*(error|warning)\s*(?:[A-Z]\d+)?:?\s*(.*)$/i, severity: 3, source: 1, line: 2, message: 4 },
+    // Bare:            0:12: 'foo' : undeclared identifier
+    { regex: /^(\d+):(\d+):\s*(.*)$/, severity: 0, source: 1, line: 2, message: 3 }
+];
+
+export function parseDiagnostic(text) {
+    if (!text) return null;
+    const line = text.trim();
+
+    for (const format of diagnosticFormats) {
+        const match = line.match(format.regex);
+        if (match) {
+            return {
+                severity: format.severity ? match[format.severity].toLowerCase() : 'error',
+                source: parseInt(match[format.source], 10),
+                line: parseInt(match[format.line], 10),
+                message: match[format.message].trim()
+            };
+        }
+    }
+
+    return null;
+}
+
+export class DiagnosticsManager {
+    constructor(editor, problemsElementId) {
+        this.editor = editor;
+        this.problemsElement = document.getElementById(problemsElementId);
+        this.diagnostics = [];
+        this.widgets = [];
+        // Only diagnostics of the file shown on the editor get marked on it
+        this.activeFile = 'frag';
+        this.onJump = null;
+    }
+
+    // Diagnostics of a new compile of stage, the ones of its previous compile go away
+    replace(stage, diagnostics) {
+        this.diagnostics = this.diagnostics.filter((d) => d.stage !== stage);
+        this.setActiveFile(this.activeFile);
+        diagnostics.forEach((diagnostic) => this.add(diagnostic));
+        this.renderProblems();
+    }
+
+    // Diagnostics of a file whose content was replaced no longer point anywhere
+    removeFile(file) {
+        this.diagnostics = this.diagnostics.filter((d) => d.file !== file);
+        this.setActiveFile(this.activeFile);
+        this.renderProblems();
+    }
+
+    add(diagnostic) {
+        if (!diagnostic.file) diagnostic.file = this.activeFile;
+
+        // Compile loops repeat the same messages, keep one of each
+        const exists = this.diagnostics.some((d) =>
+            d.file === diagnostic.file && d.line === diagnostic.line &&
+            d.message === diagnostic.message && d.severity === diagnostic.severity);
+        if (exists) return;
+
+        this.diagnostics.push(diagnostic);
+        if (diagnostic.file === this.activeFile) {
+            this.mark(diagnostic);
+        }
+        this.renderProblems();
+    }
+
+    setActiveFile(file) {
+        this.activeFile = file;
+        this.clearMarks();
+        this.diagnostics
+            .filter((diagnostic) => diagnostic.file === file)
+            .forEach((diagnostic) => this.mark(diagnostic));
+    }
+
+    mark(diagnostic) {
+        const cmLine = diagnostic.line - 1;
+        if (cmLine < 0 || cmLine >= this.editor.lineCount()) return;
+
+        const lineClass = diagnostic.severity === 'warning' ? 'warning-line' : 'error-line';
+        this.editor.addLineClass(cmLine, 'background', lineClass);
+
+        // Gutter marker
+        const info = this.editor.lineInfo(cmLine);
+        if (!info.gutterMarkers || !info.gutterMarkers['diagnostics-gutter'] || diagnostic.severity === 'error') {
+            const marker = document.createElement('div');
+            marker.className = 'diagnostic-marker ' + diagnostic.severity;
+            marker.textContent = '●';
+            marker.title = diagnostic.message;
+            this.editor.setGutterMarker(cmLine, 'diagnostics-gutter', marker);
+        }
+
+        // Inline message under the line
+        const widget = document.createElement('div');
+        widget.className = 'diagnostic-widget ' + diagnostic.severity;
+        widget.textContent = diagnostic.message;
+        this.widgets.push(this.editor.addLineWidget(cmLine, widget, { coverGutter: false, noHScroll: true }));
+    }
+
+    clear() {
+        this.diagnostics = [];
+        this.clearMarks();
+        this.renderProblems();
+    }
+
+    clearMarks() {
+        this.widgets.forEach((widget) => widget.clear());
+        this.widgets = [];
+
+        this.editor.clearGutter('diagnostics-gutter');
+        this.editor.eachLine((lineHandle) => {
+            this.editor.removeLineClass(lineHandle, 'background', 'error-line');
+            this.editor.removeLineClass(lineHandle, 'background', 'warning-line');
+        });
+    }
+
+    jumpTo(diagnostic) {
+        // Files that are not on the editor are handled by whoever owns them
+        if (diagnostic.file !== this.activeFile && this.onJump) {
+            this.onJump(diagnostic);
+            return;
+        }
+
+        const cmLine = Math.max(0, Math.min(diagnostic.line - 1, this.editor.lineCount() - 1));
+        this.editor.focus();
+        this.editor.setCursor({ line: cmLine, ch: 0 });
+        this.editor.scrollIntoView({ line: cmLine, ch: 0 }, 100);
+    }
+
+    renderProblems() {
+        if (!this.problemsElement) return;
+
+        this.problemsElement.innerHTML = '';
+        if (this.diagnostics.length === 0) {
+            this.problemsElement.style.display = 'none';
+            return;
+        }
+        this.problemsElement.style.display = 'block';
+
+        const sorted = [...this.diagnostics].sort((a, b) =>
+            (a.file === b.file) ? a.line - b.line : a.file.localeCompare(b.file));
+        sorted.forEach((diagnostic) => {
+            const item = document.createElement('div');
+            item.className = 'problem-item ' + diagnostic.severity;
+
+            const location = document.createElement('span');
+            location.className = 'problem-location';
+            location.textContent = diagnostic.file + ':' + diagnostic.line;
+
+            const message = document.createElement('span');
+            message.textContent = diagnostic.severity + ': ' + diagnostic.message;
+
+            item.appendChild(location);
+            item.appendChild(message);
+            item.addEventListener('click', () => this.jumpTo(diagnostic));
+            this.problemsElement.appendChild(item);
+        });
+    }
+
+    getDiagnostics() {
+        return this.diagnostics;
+    }
+}
@@ -0,0 +1,109 @@
+// Drafts Module
+// Autosaves the editor content, retained commands and dropped assets to IndexedDB
+// so a lost WebGL context or a page reload can be recovered from on the next start
+
+import { IndexedDBStore } from './storage.js';
+
+const DRAFT_KEY = 'current';
+// Set across a reload made to recover the page, its draft comes back without asking
+const RECOVER_KEY = 'glslViewer-recover';
+
+export class DraftManager {
+    // collectDraft(final): the draft to save, final when the page may be going away
+    // (flushes), so the draft should have anything that is costly to collect
+    constructor(collectDraft, delayMs = 1000) {
+        this.store = new IndexedDBStore('glslViewer-drafts', 'drafts');
+        this.collectDraft = collectDraft;
+        this.delayMs = delayMs;
+        this.saveTimeout = null;
+        this.dirty = false;
+        this.saved = false;
+
+        // Expose flush globally so the wasm-loader can save before reloading
+        window.glslViewerDrafts = {
+            flush: this.flush.bind(this),
+            reload: this.reload.bind(this)
+        };
+    }
+
+    schedule() {
+        this.dirty = true;
+        if (this.saveTimeout) clearTimeout(this.saveTimeout);
+
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.save();
+        }, this.delayMs);
+    }
+
+    async save(final = false) {
+        this.dirty = false;
+
+        let draft;
+        try {
+            draft = this.collectDraft(final);
+        } catch (e) {
+            console.error('Error collecting draft:', e);
+            return;
+        }
+        draft.savedAt = new Date().toISOString();
+
+        try {
+            await this.store.set(DRAFT_KEY, draft);
+            this.saved = true;
+        } catch (e) {
+            console.error('Error saving draft:', e);
+        }
+    }
+
+    flush() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+        // A saved draft is brought up to date even if unchanged, the scene may have moved since
+        if (!this.dirty && !this.saved) return Promise.resolve();
+        return this.save(true);
+    }
+
+    // Saves the draft and reloads the page, which brings it back on start (see isRecovering)
+    reload() {
+        this.dirty = true;
+        return this.flush().finally(() => {
+            sessionStorage.setItem(RECOVER_KEY, '1');
+            location.reload();
+        });
+    }
+
+    // Whether the page was reloaded by reload(), only once
+    isRecovering() {
+        const recovering = sessionStorage.getItem(RECOVER_KEY) === '1';
+        sessionStorage.removeItem(RECOVER_KEY);
+        return recovering;
+    }
+
+    async load() {
+        try {
+            const draft = await this.store.get(DRAFT_KEY);
+            return draft || null;
+        } catch (e) {
+            console.error('Error loading draft:', e);
+            return null;
+        }
+    }
+
+    async clear() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+        this.dirty = false;
+        this.saved = false;
+
+        try {
+            await this.store.delete(DRAFT_KEY);
+        } catch (e) {
+            console.error('Error clearing draft:', e);
+        }
+    }
+}
@@ -1,6 +1,9 @@
 // CodeMirror Editor Module
 // Handles editor setup, configuration, and Lygia autocomplete
 
+import { DiagnosticsManager } from './diagnostics.js';
+import { LiteralControls } from './literals.js';
+
 function getJSON(url, callback) {
     var xhr = new XMLHttpRequest();
     xhr.open('GET', url, true);
@@ -16,6 +19,9 @@ function getJSON(url, callback) {
     xhr.send();
 }
 
+// Names allowed for the extra source files that can be #include'd from the main shaders
+const includeFileRegex = /^[\w\-]+(\.[\w\-]+)*\.(glsl|frag|vert|fs|vs|h)$/;
+
 export class EditorManager {
     constructor(containerId, defaultContent) {
         this.activeTab = 'frag';
@@ -26,8 +32,10 @@ export class EditorManager {
         this.updateTimeout = null;
         this.lygiaGlob = null;
         this.lygiaFetching = false;
+        this.lygiaCache = null;
         
         this.editor = this.initializeEditor(containerId);
+        this.diagnostics = new DiagnosticsManager(this.editor, 'problems');
         this.setupLygiaAutocomplete();
     }
 
@@ -42,6 +50,7 @@ export class EditorManager {
             mode: 'x-shader/x-fragment',
             theme: 'monokai',
             lineNumbers: true,
+            gutters: ['diagnostics-gutter', 'CodeMirror-linenumbers'],
             matchBrackets: true,
             keyMap: 'sublime',
             tabSize: 4,
@@ -66,12 +75,21 @@ export class EditorManager {
               
             if (trimmedLine.startsWith('#include')) {
                 let path = line.substring(10);
-                if (this.lygiaGlob === null) {
-                    getJSON('https://lygia.xyz/glsl.json', (err, data) => {
-                        if (err === null) {
-                            this.lygiaGlob = data;
-                        }
-                    });
+                if (this.lygiaGlob === null && !this.lygiaFetching) {
+                    this.lygiaFetching = true;
+                    if (this.lygiaCache) {
+                        this.lygiaCache.getIndex()
+                            .then((data) => { this.lygiaGlob = data; })
+                            .catch((err) => console.error('Error loading Lygia index:', err))
+                            .finally(() => { this.lygiaFetching = false; });
+                    } else {
+                        getJSON('https://lygia.xyz/glsl.json', (err, data) => {
+                            if (err === null) {
+                                this.lygiaGlob = data;
+                            }
+                            this.lygiaFetching = false;
+                        });
+                    }
                 }
                 console.log('autocomplete for', path);
 
@@ -108,36 +126,113 @@ export class EditorManager {
         });
     }
 
-    setupErrorHighlighting() {
-        window.addEventListener('wasm-stderr', (e) => {
-            const text = e.detail;
-            
-            // Regex to match GLSL errors
-            const errorRegex = /^0:(\d+):(.*)$/;
-            const match = text.match(errorRegex);
-            
-            if (match) {
-                const line = parseInt(match[1], 10);
-                const cmLine = line - 1;
-                
-                if (this.editor) {
-                    if (cmLine >= 0 && cmLine < this.editor.lineCount()) {
-                        this.editor.addLineClass(cmLine, 'background', 'error-line');
-                    }
+    setLygiaCache(lygiaCache) {
+        // Serve the autocomplete index from the (versioned, offline) cache
+        this.lygiaCache = lygiaCache;
+        this.lygiaGlob = null;
+    }
+
+    setupErrorHighlighting(callbacks = {}) {
+        // Diagnostics on files that are not on the editor: open their tab, or a read-only view
+        this.diagnostics.onJump = (diagnostic) => {
+            if (diagnostic.file in this.content) {
+                if (callbacks.openTab) callbacks.openTab(diagnostic.file);
+                else this.switchTab(diagnostic.file);
+
+                if (this.activeTab === diagnostic.file) {
+                    this.diagnostics.jumpTo(diagnostic);
+                }
+            } else if (callbacks.readFile) {
+                let source = null;
+                try {
+                    source = callbacks.readFile(diagnostic.file);
+                } catch (e) {
+                    console.error('Could not read ' + diagnostic.file + ':', e);
+                }
+                if (source !== null) {
+                    this.showReadOnlyFile(diagnostic.file, source, diagnostic.line);
                 }
             }
-        });
+        };
+
+    }
+
+    // Diagnostics of a compile of stage, already mapped to the files they belong to
+    showDiagnostics(stage, diagnostics) {
+        this.diagnostics.replace(stage, diagnostics);
+    }
+
+    showReadOnlyFile(path, source, line) {
+        if (!this.readOnlyViewer) {
+            const element = document.createElement('div');
+            element.className = 'readonly-viewer';
+
+            const header = document.createElement('div');
+            header.className = 'readonly-header';
+            const title = document.createElement('span');
+            const close = document.createElement('button');
+            close.className = 'readonly-close';
+            close.textContent = '×';
+            close.title = 'Close';
+            close.addEventListener('click', () => {
+                element.style.display = 'none';
+            });
+            header.appendChild(title);
+            header.appendChild(close);
+
+            const body = document.createElement('div');
+            body.className = 'readonly-body';
+
+            element.appendChild(header);
+            element.appendChild(body);
+            this.editor.getWrapperElement().parentNode.appendChild(element);
+
+            const editor = CodeMirror(body, {
+                mode: 'x-shader/x-fragment',
+                theme: 'monokai',
+                lineNumbers: true,
+                readOnly: true
+            });
+            editor.setSize(null, "100%");
+
+            this.readOnlyViewer = { element, title, editor };
+        }
+
+        const viewer = this.readOnlyViewer;
+        viewer.title.textContent = path + ' (read-only)';
+        viewer.element.style.display = 'flex';
+        viewer.editor.setValue(source);
+        viewer.editor.refresh();
+
+        // Highlight every diagnostic that belongs to this file
+        this.diagnostics.getDiagnostics()
+            .filter((diagnostic) => diagnostic.file === path)
+            .forEach((diagnostic) => {
+                const cmLine = diagnostic.line - 1;
+                if (cmLine >= 0 && cmLine < viewer.editor.lineCount()) {
+                    const lineClass = diagnostic.severity === 'warning' ? 'warning-line' : 'error-line';
+                    viewer.editor.addLineClass(cmLine, 'background', lineClass);
+                }
+            });
+
+        const cmLine = Math.max(0, Math.min(line - 1, viewer.editor.lineCount() - 1));
+        viewer.editor.setCursor({ line: cmLine, ch: 0 });
+        viewer.editor.scrollIntoView({ line: cmLine, ch: 0 }, 100);
+    }
+
+    setupLiteralControls(onLiveChange) {
+        // Alt-drag on numbers and color swatches on vec3/vec4 literals
+        this.literals = new LiteralControls(this.editor, onLiveChange);
     }
 
     clearErrorHighlighting() {
-        this.editor.eachLine((lineHandle) => {
-            this.editor.removeLineClass(lineHandle, 'background', 'error-line');
-        });
+        this.diagnostics.clear();
     }
 
     onChange(callback, debounceMs = 300) {
-        this.editor.on('change', () => {
-            this.clearErrorHighlighting();
+        this.editor.on('change', (cm, change) => {
+            // Scrubbed literals and picked colors compile themselves while they change
+            if (change.origin === '+scrub') return;
 
             if (this.updateTimeout) clearTimeout(this.updateTimeout);
 
@@ -167,14 +262,15 @@ export class EditorManager {
         this.activeTab = type;
         
         // Update editor mode
-        if (type === 'frag') {
-            this.editor.setOption('mode', 'x-shader/x-fragment');
-        } else {
+        if (type === 'vert') {
             this.editor.setOption('mode', 'x-shader/x-vertex');
+        } else {
+            this.editor.setOption('mode', 'x-shader/x-fragment');
         }
         
         // Set new content
         this.editor.setValue(this.content[this.activeTab]);
+        this.diagnostics.setActiveFile(type);
     }
 
     getValue() {
@@ -192,6 +288,7 @@ export class EditorManager {
     setContent(type, value) {
         this.content[type] = value;
         if (type === this.activeTab) {
+            this.diagnostics.removeFile(type);
             this.editor.setValue(value);
         }
     }
@@ -202,6 +299,39 @@ export class EditorManager {
         return { ...this.content };
     }
 
+    isIncludeFile(type) {
+        return type !== 'frag' && type !== 'vert';
+    }
+
+    addFile(name, value = '') {
+        if (!includeFileRegex.test(name)) {
+            throw new Error('Invalid include file name: ' + name + ' (e.g. common.glsl)');
+        }
+        this.setContent(name, value);
+    }
+
+    removeFile(name) {
+        if (!this.isIncludeFile(name) || !(name in this.content)) return;
+        if (name === this.activeTab) {
+            this.switchTab('frag');
+        }
+        delete this.content[name];
+    }
+
+    hasFile(name) {
+        return this.isIncludeFile(name) && name in this.content;
+    }
+
+    getFiles() {
+        // Extra include files, reading the active one straight from the editor
+        const files = {};
+        Object.keys(this.content).forEach((name) => {
+            if (!this.isIncludeFile(name)) return;
+            files[name] = (name === this.activeTab) ? this.editor.getValue() : this.content[name];
+        });
+        return files;
+    }
+
     getActiveTab() {
         return this.activeTab;
     }
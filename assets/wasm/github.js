@@ -1,6 +1,18 @@
 // GitHub Integration Module
 // Handles authentication, gist loading/saving, and author attribution
 
+import { encodeAsset } from './assets.js';
+
+// The API lists up to 300 files of a gist, and files past 10 MB can't be fetched raw either
+const gistFileLimit = 300;
+const gistFileSizeLimit = 10 * 1024 * 1024;
+// How close to a limit a save gets before warning about it
+const gistLimitWarning = 0.8;
+
+function formatMB(bytes) {
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
 export class GitHubIntegration {
     constructor() {
         this.token = localStorage.getItem('github_token');
@@ -235,16 +247,34 @@ export class GitHubIntegration {
                 throw new Error('No valid shader JSON found in Gist');
             }
 
-            let jsonContent;
-            if (shaderFile.truncated) {
-                if (callbacks.onUpdate) callbacks.onUpdate("Fetching raw Gist content...");
-                const rawResponse = await fetch(shaderFile.raw_url);
-                jsonContent = await rawResponse.text();
-            } else {
-                jsonContent = shaderFile.content;
+            const jsonContent = await this.readGistFile(shaderFile, callbacks);
+            const json = JSON.parse(jsonContent);
+            
+            // Include files are stored as separate files of the gist, the JSON only lists their names
+            if (Array.isArray(json.files)) {
+                const sources = {};
+                for (const name of json.files) {
+                    if (data.files[name]) {
+                        sources[name] = await this.readGistFile(data.files[name], callbacks);
+                    } else {
+                        console.warn('Include file missing from Gist:', name);
+                    }
+                }
+                json.files = sources;
             }
 
-            const json = JSON.parse(jsonContent);
+            // Same for binary assets, their entries get the content of their file
+            if (json.assets) {
+                for (const [name, asset] of Object.entries(json.assets)) {
+                    if (typeof asset !== 'object' || !asset.file) continue;
+                    if (data.files[asset.file]) {
+                        if (callbacks.onUpdate) callbacks.onUpdate('Fetching ' + name);
+                        asset.content = await this.readGistFile(data.files[asset.file], callbacks);
+                    } else {
+                        console.warn('Asset file missing from Gist:', asset.file);
+                    }
+                }
+            }
             
             // Load history from the gist JSON
             if (json.history && Array.isArray(json.history)) {
@@ -300,7 +330,44 @@ export class GitHubIntegration {
         }
     }
 
-    async saveGist(payload, filename = 'shader') {
+    async readGistFile(file, callbacks = {}) {
+        if (file.truncated) {
+            if (callbacks.onUpdate) callbacks.onUpdate("Fetching raw Gist content...");
+            const rawResponse = await fetch(file.raw_url);
+            if (!rawResponse.ok) throw new Error('Failed to fetch ' + file.filename);
+            return await rawResponse.text();
+        }
+        return file.content;
+    }
+
+    // Name of the gist file holding an asset, gist files can't be in folders
+    assetFileName(name, encoding, files) {
+        const base = 'asset_' + name.replace(/\//g, '__') + (encoding === 'gzip' ? '.gz' : '') + '.b64';
+        let file = base;
+        for (let i = 1; files[file]; i++) {
+            file = i + '_' + base;
+        }
+        return file;
+    }
+
+    checkGistLimits(files, onWarning) {
+        const names = Object.keys(files);
+        if (names.length > gistFileLimit * gistLimitWarning) {
+            onWarning('This gist has ' + names.length + ' files, GitHub only lists the first ' + gistFileLimit);
+        }
+
+        names.forEach((name) => {
+            const size = files[name].content.length;
+            if (size > gistFileSizeLimit) {
+                onWarning(name + ' is ' + formatMB(size) + ', over the ' + formatMB(gistFileSizeLimit) + ' GitHub serves, it will not load back');
+            } else if (size > gistFileSizeLimit * gistLimitWarning) {
+                onWarning(name + ' is ' + formatMB(size) + ', close to the ' + formatMB(gistFileSizeLimit) + ' GitHub serves');
+            }
+        });
+    }
+
+    // callbacks.onWarning(message) hears about the gist getting close to GitHub's limits
+    async saveGist(payload, filename = 'shader', callbacks = {}) {
         if (!this.token) {
             alert('Please login first');
             return null;
@@ -314,6 +381,37 @@ export class GitHubIntegration {
 
         payload.history = this.gistHistory;
 
+        // Store include files as their own gist files (readable on GitHub),
+        // keeping only their names on the JSON
+        let files = {};
+        if (payload.files && !Array.isArray(payload.files)) {
+            const names = Object.keys(payload.files);
+            names.forEach((name) => {
+                const code = payload.files[name];
+                // GitHub rejects blank files
+                files[name] = { content: code.trim().length > 0 ? code : '// ' + name + '\n' };
+            });
+            payload = { ...payload, files: names };
+        }
+
+        // Binary assets too, base64 encoded (and compressed when large) instead of inlined
+        // as data URLs, which made the JSON huge and truncated by GitHub
+        if (payload.assets) {
+            const assets = {};
+            for (const [name, url] of Object.entries(payload.assets)) {
+                if (typeof url !== 'string' || !url.startsWith('data:')) {
+                    assets[name] = url;
+                    continue;
+                }
+
+                const asset = await encodeAsset(url);
+                const file = this.assetFileName(name, asset.encoding, files);
+                files[file] = { content: asset.content };
+                assets[name] = { file, type: asset.type, encoding: asset.encoding, size: asset.size };
+            }
+            payload = { ...payload, assets };
+        }
+
         let contentString;
         try {
             contentString = JSON.stringify(payload, null, 2);
@@ -321,8 +419,8 @@ export class GitHubIntegration {
             throw new Error('Error preparing JSON: ' + e.toString());
         }
 
-        let files = {};
         files[filename] = { content: contentString };
+        this.checkGistLimits(files, callbacks.onWarning || ((msg) => console.warn(msg)));
 
         const data = {
             description: filename.replace('.json', ''),
@@ -1,40 +1,293 @@
 // glslViewer WASM Integration Module
 // Handles interaction with the WASM module, shader updates, commands, and asset loading
 
+import { buildSourceMap } from './includes.js';
+import { parseDiagnostic } from './diagnostics.js';
+import { captureState, stateToCommands } from './state.js';
+import { validateCommand } from './schema.js';
+import { bytesToBase64, decodeAsset, getAssetType, getModelDependencies } from './assets.js';
+import { packSequence, unpackSequence } from './sequence.js';
+import { VideoTextures, isVideo } from './video.js';
+
 const cmds_state = ['plot', 'textures', 'buffers', 'floor', 'cubemap', 'axis', 'grid', 'bboxes', 'fullscreen'];
 const cmds_plot_modes = ['off', 'fps', 'rgb', 'luma'];
-const cmds_camera = ['camera_position', 'camera_look_at','camera'];
 const cmds_listen = ['plane', 'pcl_plane', 'sphere', 'pcl_sphere', 'icosphere', 'cylinder'];
+// Commands that only print something, even with arguments
+const cmds_info = ['help', 'uniforms', 'dependencies', 'material', 'model', 'screenshot', 'sequence', 'secs', 'frames', 'record'];
+
+// Source string numbers the engine tags the compiler messages of each shader with
+const sourceStages = { 1: 'frag', 2: 'vert' };
+
+// How long the engine can take to start before warning it may not
+const readyTimeout = 30000;
+
+export const eventTypes = ['ready', 'startTimeout', 'compileStart', 'compileSuccess', 'compileError', 'assetLoaded', 'assetFailed', 'assetRemoved', 'assetRenamed', 'stateChanged', 'frame'];
 
 export class GlslViewerIntegration {
     constructor(logCallback) {
         this.logCallback = logCallback || ((msg) => console.log(msg));
         this.cmdsHistory = [];
         this.externalAssets = {};
+        this.includeResolver = null;
+        this.shaderQueue = Promise.resolve();
+        this.sourceMaps = {};
+        // Compile in progress: { stages, lines, diagnostics, implicit }, see onCompileStart
+        this.compiling = null;
+        // Warnings may come through stdout depending on the driver
+        window.addEventListener('wasm-stderr', (e) => this.onOutput(e.detail));
+        window.addEventListener('wasm-stdout', (e) => this.onOutput(e.detail));
+        this.pendingRuns = {};
+        this.lastRunId = 0;
+        // What the engine reports about uniforms and shaders, queried once per compile, see hasUniform
+        this.uniformsInfo = null;
+
+        // Scene state the engine can't report back, followed from the commands sent
+        this.defines = {};
+        this.cameraName = null;
+        this.cameraExposure = null;
+        this.defaultState = null;
+
+        // Image sequences loaded, by .seq asset name: { folder, frames, fps, loop }
+        this.sequences = {};
+        // Videos are decoded by the browser, their frames uploaded every frame
+        this.videos = new VideoTextures();
+
+        this.listeners = {};
+        this.frameCount = 0;
+        // Textures and streams are uniforms too
+        ['assetLoaded', 'assetRemoved', 'assetRenamed'].forEach((type) => this.on(type, () => { this.uniformsInfo = null; }));
+
+        // Calls made before the engine runs wait here, ready resolves once they went through
+        this.pendingCalls = [];
+        this.started = false;
+        this.ready = new Promise((resolve) => { this.resolveReady = resolve; });
+        if (this.isModuleReady()) this.onReady();
+        else {
+            window.addEventListener('wasm-ready', () => this.onReady(), { once: true });
+            this.readyTimer = setTimeout(() => this.onReadyTimeout(), readyTimeout);
+        }
     }
 
     isModuleReady() {
         return window.Module && window.module_loaded;
     }
 
-    sendCommand(cmd) {
+    onReady() {
+        if (this.started) return;
+        this.started = true;
+        clearTimeout(this.readyTimer);
+
+        // What a fresh engine looks like, so saved states only replay what changed
+        this.defaultState = this.getState();
+
+        window.Module.onCompileStart = (stage) => this.onCompileStart(stage);
+        window.Module.onCompileEnd = () => this.onCompileEnd();
+        // Every command result comes through here, routed to its run() by id
+        window.Module.onCommandResult = (id, out, err, resolved) => this.onCommandResult(id, out, err, resolved);
+        window.Module.onFrame = () => {
+            // Messages printed outside of a compile the engine announced are reported once the frame is done
+            if (this.compiling && this.compiling.implicit) this.onCompileEnd();
+            this.videos.update();
+            this.emit('frame', { frame: ++this.frameCount });
+        };
+
+        const calls = this.pendingCalls;
+        this.pendingCalls = [];
+        calls.forEach((call) => call());
+        this.resolveReady();
+        this.emit('ready');
+    }
+
+    // The engine didn't start yet (no WebGL, slow or failed download...): let the UI know.
+    // Calls stay queued, they still go through if it starts later
+    onReadyTimeout() {
+        if (this.started) return;
+        this.logCallback('glslViewer did not start after ' + (readyTimeout / 1000) + ' seconds, still waiting for it', true);
+        this.emit('startTimeout', { timeout: readyTimeout });
+    }
+
+    // Listens to one of eventTypes, returns a function removing the listener.
+    // Listeners of ready added once the engine runs are called right away
+    on(type, listener) {
+        if (!eventTypes.includes(type)) console.warn('Unknown glslViewer event: ' + type);
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+        if (type === 'ready' && this.started) listener({});
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        if (!this.listeners[type]) return;
+        this.listeners[type] = this.listeners[type].filter((l) => l !== listener);
+    }
+
+    emit(type, detail = {}) {
+        (this.listeners[type] || []).slice().forEach((listener) => {
+            try {
+                listener(detail);
+            } catch (err) {
+                console.error('Error in ' + type + ' listener:', err);
+            }
+        });
+    }
+
+    // The engine tells when shaders it compiles changed (compile start), and when a frame
+    // rendered them all (compile end), buffers and post-processing included
+    onCompileStart(stage) {
+        this.uniformsInfo = null;
+        if (!this.compiling) this.compiling = { stages: [], lines: [], diagnostics: [] };
+        this.compiling.implicit = false;
+        if (stage) this.addCompileStage(stage);
+    }
+
+    addCompileStage(stage) {
+        if (this.compiling.stages.includes(stage)) return;
+        this.compiling.stages.push(stage);
+        this.emit('compileStart', { type: stage });
+    }
+
+    // Everything the engine prints, compiler messages are mapped to the files they come from
+    onOutput(line) {
+        if (this.compiling) this.compiling.lines.push(line);
+
+        const diagnostic = parseDiagnostic(line);
+        if (!diagnostic) return;
+
+        // Only the stages these messages come from get reported, at the end of the frame
+        if (!this.compiling) this.compiling = { stages: [], lines: [line], diagnostics: [], implicit: true };
+        this.compiling.diagnostics.push(this.mapDiagnostic(diagnostic, this.compiling.stages[0] || 'frag'));
+    }
+
+    // Emits, for each stage compiled, compileError when it has errors, otherwise compileSuccess,
+    // with all the diagnostics of that stage (they replace the ones of its previous compile)
+    onCompileEnd() {
+        const compile = this.compiling;
+        this.compiling = null;
+        this.uniformsInfo = null;
+        if (!compile) return;
+
+        // Defines and reloads recompile both stages without saying which
+        if (compile.stages.length === 0 && !compile.implicit) compile.stages.push('frag', 'vert');
+
+        compile.diagnostics.forEach((d) => {
+            if (!compile.stages.includes(d.stage)) compile.stages.push(d.stage);
+        });
+        compile.stages.forEach((type) => {
+            const diagnostics = compile.diagnostics.filter((d) => d.stage === type);
+            const failed = diagnostics.some((d) => d.severity === 'error');
+            this.emit(failed ? 'compileError' : 'compileSuccess', { type, diagnostics, log: compile.lines });
+        });
+    }
+
+    // Calls call right away if the engine runs, otherwise once it does, in the order they were made.
+    // Returns a promise of what call returns
+    whenReady(call) {
+        if (this.started) {
+            try {
+                return Promise.resolve(call());
+            } catch (err) {
+                return Promise.reject(err);
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pendingCalls.push(() => {
+                try {
+                    resolve(call());
+                } catch (err) {
+                    reject(err);
+                }
+            });
+        });
+    }
+
+    addToHistory(cmd) {
         // Log command if it starts with any of the cmds_listen
         if (cmds_listen.some(c => cmd.startsWith(c))) {
             console.log('Command added to history:', cmd);
             this.cmdsHistory.push(cmd);
         }
 
-        this.logCallback('> ' + cmd);
-        
-        if (window.Module && window.Module.ccall) {
+        const args = cmd.split(',');
+        if (args[0] === 'define' && args.length === 2) {
+            const parts = args[1].split(' ');
+            this.defines[parts[0]] = parts.slice(1).join(' ');
+        } else if (args[0] === 'define' && args.length === 3) {
+            this.defines[args[1]] = args[2];
+        } else if (args[0] === 'undefine' && args.length === 2) {
+            this.defines[args[1]] = null;
+        } else if (args[0] === 'camera_exposure' && args.length === 4) {
+            this.cameraExposure = args.slice(1).map(parseFloat);
+        } else if (args[0] === 'camera' && args.length === 2 && args[1] !== 'list') {
+            this.cameraName = (args[1] === 'default') ? null : args[1];
+        }
+    }
+
+    // Returns null if cmd is fine, otherwise why it would not work
+    validate(cmd) {
+        return validateCommand(cmd, (name) => this.hasUniform(name));
+    }
+
+    // Until the engine runs there is nothing to check against, anything may become a uniform
+    hasUniform(name) {
+        if (!this.started) return true;
+        if (this.uniformsInfo === null) {
+            this.uniformsInfo = ['uniforms,all', 'frag', 'vert'].map((cmd) => this.query(cmd) || '').join('\n');
+        }
+        return new RegExp('\\buniform\\s+\\w+\\s+' + name + '\\b').test(this.uniformsInfo);
+    }
+
+    sendCommand(cmd, log = true) {
+        this.run(cmd, log).catch((err) => {
+            // Errors the engine printed are on the console already
+            if (!err.stderr) this.logCallback(err.message, true);
+        });
+    }
+
+    // Runs cmd on the engine's next frame, in order with every other command sent.
+    // Resolves with what it printed, rejects when the engine doesn't know the command
+    // or it printed errors (the error carries them as stderr, and the output)
+    run(cmd, log = true) {
+        if (log) this.logCallback('> ' + cmd);
+
+        const problem = this.validate(cmd);
+        if (problem) return Promise.reject(new Error(problem));
+
+        this.addToHistory(cmd);
+
+        const id = ++this.lastRunId;
+        return this.whenReady(() => new Promise((resolve, reject) => {
+            this.pendingRuns[id] = { cmd, resolve, reject };
             try {
-                window.Module.ccall('command', null, ['string'], [cmd]);
+                window.Module.ccall('commandWithId', null, ['number', 'string'], [id, cmd]);
             } catch(err) {
-                this.logCallback('Error sending command: ' + err, true);
+                delete this.pendingRuns[id];
+                reject(new Error('Error sending command: ' + err));
             }
-        } else {
-            this.logCallback('Module not ready.', true);
+        }));
+    }
+
+    onCommandResult(id, out, err, resolved) {
+        const pending = this.pendingRuns[id];
+        if (!pending) return;
+        delete this.pendingRuns[id];
+
+        out = out.replace(/\n$/, '');
+        err = err.replace(/\n$/, '');
+
+        const args = pending.cmd.split(',');
+        if (resolved && args.length > 1 && !cmds_info.includes(args[0])) {
+            this.emit('stateChanged', { cmd: pending.cmd });
+        }
+
+        if (resolved && !err) {
+            pending.resolve(out);
+            return;
         }
+
+        const error = new Error(err || 'Unknown command: ' + pending.cmd);
+        error.output = out;
+        error.stderr = err;
+        pending.reject(error);
     }
 
     query(cmd) {
@@ -49,38 +302,121 @@ export class GlslViewerIntegration {
         return null;
     }
 
-    getRetainedState() {
-        let results = [...this.cmdsHistory];
+    // Versioned snapshot of the scene, see state.js
+    getState() {
+        return captureState((cmd) => this.query(cmd), {
+            defines: this.defines,
+            exposure: this.cameraExposure,
+            camera: this.cameraName,
+            geometry: this.cmdsHistory,
+            model: Object.keys(this.externalAssets).some((name) => getAssetType(name) === 'model')
+        });
+    }
+
+    // Commands bringing the engine to state, leaving alone what a fresh engine already has
+    getStateCommands(state) {
+        return stateToCommands(state, this.defaultState);
+    }
+
+    setIncludeResolver(resolver) {
+        // async (code) => {...} making sure every #include of code is on the filesystem
+        this.includeResolver = resolver;
+    }
 
-        const cmds_to_check = [...new Set([...cmds_state, ...cmds_camera])];
-        cmds_to_check.forEach((cmd) => {
-            let answer = this.query(cmd);
-            if (answer) {
-                results.push(cmd + ',' + answer);
+    setShader(func, code, errorMsg) {
+        const type = (func === 'setFrag') ? 'frag' : 'vert';
+        const apply = () => {
+            if (window.Module && window.Module.ccall) {
+                try {
+                    // Includes are on the filesystem by now, map the lines the compiler will report
+                    this.sourceMaps[type] = buildSourceMap(code, this, type);
+                    // The engine reports how the compile goes, see onCompileStart
+                    window.Module.ccall(func, null, ['string'], [code]);
+                } catch (e) {
+                    console.error(errorMsg, e);
+                    this.emit('compileError', { type, diagnostics: [], log: [String(e)] });
+                }
             }
-        });
+        };
 
-        // Remove duplicates while preserving order
-        results = [...new Set(results)];
-        return results;
+        // Includes go to the engine's filesystem, so they wait for it too
+        return this.whenReady(() => {
+            if (!this.includeResolver) {
+                apply();
+                return;
+            }
+
+            // Chain on the previous shader so they still apply in the order they were set
+            this.shaderQueue = this.shaderQueue
+                .then(() => this.includeResolver(code))
+                .catch((err) => this.logCallback('Error resolving includes: ' + err.message, true))
+                .then(apply);
+            return this.shaderQueue;
+        });
     }
 
     setFrag(code) {
-        if (window.Module && window.Module.ccall) {
+        return this.setShader('setFrag', code, "Error setting fragment shader:");
+    }
+
+    setVert(code) {
+        return this.setShader('setVert', code, "Error setting vertex shader:");
+    }
+
+    // The engine tags messages of the user's shaders with their stage as source string
+    // and numbers their lines from the first one (see numberLines in main.cpp).
+    // Others come from its own shaders, they are left on fallbackStage as they are.
+    // The diagnostic keeps the stage, file is where its line is
+    mapDiagnostic(diagnostic, fallbackStage = 'frag') {
+        const stage = sourceStages[diagnostic.source];
+        if (!stage) {
+            return { ...diagnostic, stage: fallbackStage, file: fallbackStage };
+        }
+
+        // Compiler lines refer to the source with every #include expanded
+        const map = this.sourceMaps[stage];
+        const entry = map ? map[diagnostic.line - 1] : null;
+        if (!entry) {
+            return { ...diagnostic, stage, file: stage };
+        }
+        return { ...diagnostic, stage, file: entry.file, line: entry.line };
+    }
+
+    fileExists(path) {
+        if (!window.Module || !window.Module.FS) return false;
+        return window.Module.FS.analyzePath(path).exists;
+    }
+
+    readFile(path) {
+        return window.Module.FS.readFile(path, { encoding: 'utf8' });
+    }
+
+    writeFile(path, data) {
+        if (window.Module && window.Module.FS) {
             try {
-                window.Module.ccall('setFrag', null, ['string'], [code]);
+                const index = path.lastIndexOf('/');
+                if (index > 0) {
+                    window.Module.FS.mkdirTree(path.substring(0, index));
+                }
+                window.Module.FS.writeFile(path, data);
             } catch (e) {
-                console.error("Error setting fragment shader:", e);
+                console.error("Error writing file " + path + ":", e);
             }
         }
     }
 
-    setVert(code) {
-        if (window.Module && window.Module.ccall) {
+    setInclude(name, code) {
+        // Include files live next to the shaders in the WASM filesystem,
+        // so #include "name" resolves them like any local file
+        this.writeFile(name, code);
+    }
+
+    removeInclude(name) {
+        if (window.Module && window.Module.FS) {
             try {
-                window.Module.ccall('setVert', null, ['string'], [code]);
+                window.Module.FS.unlink(name);
             } catch (e) {
-                console.error("Error setting vertex shader:", e);
+                console.error("Error removing include file " + name + ":", e);
             }
         }
     }
@@ -131,89 +467,141 @@ export class GlslViewerIntegration {
         return new Uint8Array(buffer).slice(0);
     }
 
-    loadToWasm(name, data, updateLoaderCallback) {
-        return new Promise((resolve, reject) => {
-            let attempts = 0;
-            const tryWrite = () => {
-                attempts++;
-                if (attempts > 20) { // 10 seconds timeout
-                    console.error("Timeout waiting for WASM filesystem");
-                    resolve();
+    // load: false only writes the file, for the ones a model references (materials, buffers, textures)
+    loadToWasm(name, data, updateLoaderCallback, load = true) {
+        return this.whenReady(() => {
+            try {
+                if (updateLoaderCallback) updateLoaderCallback("Loading " + name);
+                
+                const ext = name.split('.').pop().toLowerCase();
+                // The browser plays videos, the engine never reads them
+                if (isVideo(name) && load) {
+                    return this.loadVideo(name, data);
+                }
+
+                const index = name.lastIndexOf('/');
+                if (index > 0) {
+                    window.Module.FS.mkdirTree(name.substring(0, index));
+                }
+                window.Module.FS.writeFile(name, data);
+                this.logCallback("Loaded asset: " + name);
+                
+                if (ext === 'seq') {
+                    this.loadSequence(name, data);
+                }
+                if (!load || ext === 'seq') {
+                    this.emit('assetLoaded', { name, ext, size: data.length });
                     return;
                 }
 
-                if (window.Module && window.Module.FS && window.module_loaded) {
-                    try {
-                        if (updateLoaderCallback) updateLoaderCallback("Loading " + name);
-                        
-                        window.Module.FS.writeFile(name, data);
-                        this.logCallback("Loaded asset: " + name);
-                        
-                        const ext = name.split('.').pop().toLowerCase();
-                        window.Module.ccall('loadAsset', null, ['string', 'string'], [name, ext]);
-
-                        if (['hdr'].includes(ext)) {
-                            this.sendCommand('cubemap,on');
-                        }
-
-                        resolve();
-                    } catch (e) {
-                        console.error("FS error", e);
-                        resolve();
-                    }
-                } else {
-                    setTimeout(tryWrite, 500);
+                window.Module.ccall('loadAsset', null, ['string', 'string'], [name, ext]);
+
+                if (['hdr'].includes(ext)) {
+                    this.sendCommand('cubemap,on');
                 }
-            };
-            tryWrite();
+                this.emit('assetLoaded', { name, ext, size: data.length });
+            } catch (e) {
+                console.error("FS error", e);
+                this.emit('assetFailed', { name, error: e });
+            }
         });
     }
 
-    async loadAssetsFromGist(assets, updateLoaderCallback) {
-        this.externalAssets = assets;
-        const assetPromises = [];
-        
-        for (const [name, url] of Object.entries(assets)) {
-            let p;
-            if (url.startsWith('data:')) {
-                try {
-                    const data = this.decodeBase64(url);
-                    p = this.loadToWasm(name, data, updateLoaderCallback);
-                } catch (e) {
-                    console.error("Error decoding base64", e);
-                    p = Promise.resolve();
+    // Plays a video (a dropped File, or the bytes of a saved one) into a texture, resolves once it is bound.
+    // Dropped videos are listed by a URL only valid in this page, see getSavedAssets
+    loadVideo(name, data) {
+        const ext = name.split('.').pop().toLowerCase();
+        return this.videos.add(name, data)
+            .then((uniform) => {
+                if (data instanceof Blob) {
+                    this.externalAssets[name] = this.videos.get(name).url;
+                    this.logCallback("Loaded video: " + name + " (videos are not saved with drafts or gists)");
+                } else {
+                    this.logCallback("Loaded video: " + name);
                 }
-            } else {
-                p = this.downloadAsset(url)
-                    .then(data => this.loadToWasm(name, data, updateLoaderCallback))
-                    .catch(err => {
-                        this.logCallback('Error loading asset ' + name + ': ' + err.message, true);
-                        return Promise.resolve();
-                    });
+                this.emit('assetLoaded', { name, ext, size: this.videos.get(name).size, uniform });
+            })
+            .catch((err) => {
+                this.logCallback('Error loading video ' + name + ': ' + err.message, true);
+                this.emit('assetFailed', { name, error: err });
+            });
+    }
+
+    // assets maps names to URLs, data URLs, or (gists saved with assets as files of their own)
+    // the entries made by encodeAsset, with the content of their file
+    async loadAssetsFromGist(assets, updateLoaderCallback) {
+        this.externalAssets = { ...assets };
+
+        // Models dropped with their folder load once the files they reference are in place
+        const names = Object.keys(assets);
+        const dependencies = getModelDependencies(names);
+        const models = names.filter((name) => name.includes('/') && getAssetType(name) === 'model');
+
+        await Promise.all(names
+            .filter((name) => !models.includes(name))
+            .map((name) => this.loadGistAsset(name, assets[name], updateLoaderCallback, !dependencies.has(name))));
+
+        return Promise.all(models.map((name) => this.loadGistAsset(name, assets[name], updateLoaderCallback)));
+    }
+
+    loadGistAsset(name, url, updateLoaderCallback, load = true) {
+        if (typeof url === 'object') {
+            return decodeAsset(url)
+                .then(({ data, dataUrl }) => {
+                    // Kept as a data URL, like dropped files, for drafts and the next save
+                    this.externalAssets[name] = dataUrl;
+                    return this.loadToWasm(name, data, updateLoaderCallback, load);
+                })
+                .catch(err => {
+                    delete this.externalAssets[name];
+                    this.logCallback('Error loading asset ' + name + ': ' + err.message, true);
+                    this.emit('assetFailed', { name, error: err });
+                });
+        } else if (url.startsWith('data:')) {
+            try {
+                const data = this.decodeBase64(url);
+                return this.loadToWasm(name, data, updateLoaderCallback, load);
+            } catch (e) {
+                console.error("Error decoding base64", e);
+                this.emit('assetFailed', { name, error: e });
+                return Promise.resolve();
             }
-            assetPromises.push(p);
         }
-        
-        return Promise.all(assetPromises);
+
+        return this.downloadAsset(url)
+            .then(data => this.loadToWasm(name, data, updateLoaderCallback, load))
+            .catch(err => {
+                this.logCallback('Error loading asset ' + name + ': ' + err.message, true);
+                this.emit('assetFailed', { name, error: err });
+                return Promise.resolve();
+            });
     }
 
-    async handleFileDrop(file, onShaderUpdate, updateLoaderCallback) {
-        const name = file.name;
+    // name: where the file goes in the WASM filesystem (a path, for files of dropped folders),
+    // replacing whatever was there. load: false to only write it, see loadToWasm
+    async handleFileDrop(file, onShaderUpdate, updateLoaderCallback, name = file.name, load = true) {
         const ext = name.split('.').pop().toLowerCase();
         
-        if (ext === 'frag' || ext === 'fs' || ext === 'vert' || ext === 'vs') {
+        if (ext === 'frag' || ext === 'fs' || ext === 'vert' || ext === 'vs' || ext === 'glsl') {
             const reader = new FileReader();
             return new Promise((resolve, reject) => {
                 reader.onload = (event) => {
                     const data = event.target.result;
                     if (onShaderUpdate) {
-                        onShaderUpdate(ext === 'frag' || ext === 'fs' ? 'frag' : 'vert', data);
+                        // .glsl files are include files, keyed by their own name
+                        let type = name;
+                        if (ext === 'frag' || ext === 'fs') type = 'frag';
+                        else if (ext === 'vert' || ext === 'vs') type = 'vert';
+                        onShaderUpdate(type, data);
                     }
                     resolve();
                 };
                 reader.onerror = () => reject(reader.error);
                 reader.readAsText(file);
             });
+        } else if (isVideo(name) && load) {
+            // Videos play from the file itself, they are too large to copy to the engine or save
+            return this.whenReady(() => this.loadVideo(name, file));
         } else {
             // Binary or other assets
             const reader = new FileReader();
@@ -223,9 +611,12 @@ export class GlslViewerIntegration {
                     this.externalAssets[name] = dataURL;
                     
                     const data = this.decodeBase64(dataURL);
-                    this.loadToWasm(name, data, updateLoaderCallback).then(resolve);
+                    this.loadToWasm(name, data, updateLoaderCallback, load).then(resolve, reject);
+                };
+                reader.onerror = () => {
+                    this.emit('assetFailed', { name, error: reader.error });
+                    reject(reader.error);
                 };
-                reader.onerror = () => reject(reader.error);
                 reader.readAsDataURL(file);
             });
         }
@@ -235,6 +626,158 @@ export class GlslViewerIntegration {
         return this.externalAssets;
     }
 
+    // The assets that go in drafts and gists, dropped videos only live as long as the page
+    getSavedAssets() {
+        const assets = {};
+        Object.entries(this.externalAssets).forEach(([name, url]) => {
+            if (typeof url !== 'string' || !url.startsWith('blob:')) assets[name] = url;
+        });
+        return assets;
+    }
+
+    // Uniform a texture asset is bound to (like u_tex0), empty for other assets
+    getAssetUniform(name) {
+        if (!this.isModuleReady()) return '';
+        return window.Module.ccall('getAssetUniform', 'string', ['string'], [name]);
+    }
+
+    getAssetSize(name) {
+        const video = this.videos.get(name);
+        if (video) return video.size;
+        if (!this.fileExists(name)) return 0;
+        return window.Module.FS.stat(name).size;
+    }
+
+    replaceAsset(name, file, updateLoaderCallback) {
+        const dependencies = getModelDependencies(Object.keys(this.externalAssets));
+        return this.handleFileDrop(file, null, updateLoaderCallback, name, !dependencies.has(name));
+    }
+
+    // Unloads the asset from the engine and forgets it, so it is not saved either
+    removeAsset(name) {
+        return this.whenReady(() => {
+            window.Module.ccall('unloadAsset', null, ['string'], [name]);
+            try {
+                if (this.fileExists(name)) window.Module.FS.unlink(name);
+                if (this.sequences[name]) this.removeTree(this.sequences[name].folder);
+            } catch (e) {
+                console.error("Error removing asset " + name + ":", e);
+            }
+            delete this.externalAssets[name];
+            delete this.sequences[name];
+            this.videos.remove(name);
+            this.logCallback("Removed asset: " + name);
+            this.emit('assetRemoved', { name });
+        });
+    }
+
+    renameAsset(from, to) {
+        return this.whenReady(() => {
+            if (from === to || !this.externalAssets[from]) return;
+            if (this.externalAssets[to] || this.fileExists(to)) {
+                throw new Error(to + ' already exists');
+            }
+
+            const index = to.lastIndexOf('/');
+            if (index > 0) {
+                window.Module.FS.mkdirTree(to.substring(0, index));
+            }
+            if (this.fileExists(from)) window.Module.FS.rename(from, to);
+            window.Module.ccall('renameAsset', null, ['string', 'string'], [from, to]);
+
+            // Keep the order assets were added in
+            const assets = {};
+            Object.entries(this.externalAssets).forEach(([name, url]) => {
+                assets[name === from ? to : name] = url;
+            });
+            this.externalAssets = assets;
+
+            // Frames stay in their folder, only the asset is renamed
+            if (this.sequences[from]) {
+                this.sequences[to] = this.sequences[from];
+                delete this.sequences[from];
+            }
+            this.videos.rename(from, to);
+            this.emit('assetRenamed', { from, to });
+        });
+    }
+
+    // Live video, like a webcam, streamed into a texture. Resolves with its uniform
+    addStream(name, stream, options = {}) {
+        return this.whenReady(() => this.videos.addStream(name, stream, options));
+    }
+
+    removeStream(name) {
+        return this.whenReady(() => {
+            window.Module.ccall('unloadAsset', null, ['string'], [name]);
+            this.videos.remove(name);
+        });
+    }
+
+    removeTree(path) {
+        const FS = window.Module.FS;
+        if (!FS.analyzePath(path).exists) return;
+
+        FS.readdir(path).filter((entry) => entry !== '.' && entry !== '..').forEach((entry) => {
+            const child = path + '/' + entry;
+            if (FS.isDir(FS.stat(child).mode)) this.removeTree(child);
+            else FS.unlink(child);
+        });
+        FS.rmdir(path);
+    }
+
+    // Writes the frames of a .seq asset to their folder, for the engine to play them as one texture
+    loadSequence(name, data) {
+        const sequence = unpackSequence(data);
+        const folder = name.replace(/\.seq$/, '');
+
+        this.removeTree(folder);
+        window.Module.FS.mkdirTree(folder);
+        sequence.frames.forEach((frame) => {
+            window.Module.FS.writeFile(folder + '/' + frame.name, frame.data);
+        });
+
+        window.Module.ccall('loadSequence', null, ['string', 'string', 'number', 'number', 'number'],
+            [name, folder, sequence.frames.length, sequence.fps, sequence.loop ? 1 : 0]);
+        this.sequences[name] = { folder, frames: sequence.frames.length, fps: sequence.fps, loop: sequence.loop };
+    }
+
+    // files: the dropped frames, in order. They become a single asset
+    async addSequence(name, files, updateLoaderCallback, options = {}) {
+        if (updateLoaderCallback) updateLoaderCallback("Packing " + files.length + " frames of " + name);
+
+        const frames = await Promise.all(files.map(async (file, i) => {
+            // Renamed so the engine, which sorts them by name, keeps their order
+            const ext = file.name.split('.').pop().toLowerCase();
+            return { name: String(i).padStart(5, '0') + '.' + ext, data: new Uint8Array(await file.arrayBuffer()) };
+        }));
+
+        const data = packSequence(frames, options);
+        this.externalAssets[name] = 'data:application/x-glslviewer-sequence;base64,' + bytesToBase64(data);
+        return this.loadToWasm(name, data, updateLoaderCallback);
+    }
+
+    getSequence(name) {
+        return this.sequences[name] || null;
+    }
+
+    // Changes how a sequence plays, saving it with the asset
+    setSequenceOptions(name, options) {
+        return this.whenReady(() => {
+            const seq = this.sequences[name];
+            if (!seq) return;
+
+            const sequence = unpackSequence(window.Module.FS.readFile(name));
+            seq.fps = options.fps !== undefined ? options.fps : seq.fps;
+            seq.loop = options.loop !== undefined ? options.loop : seq.loop;
+
+            const data = packSequence(sequence.frames, seq);
+            window.Module.FS.writeFile(name, data);
+            this.externalAssets[name] = 'data:application/x-glslviewer-sequence;base64,' + bytesToBase64(data);
+            window.Module.ccall('setSequence', null, ['string', 'number', 'number'], [name, seq.fps, seq.loop ? 1 : 0]);
+        });
+    }
+
     getCommandsState() {
         return cmds_state;
     }
@@ -0,0 +1,187 @@
+// History Module
+// Persistent console command history per project, with Up/Down navigation
+// and Ctrl+R reverse search
+
+const defaultLimit = 500;
+
+export class ConsoleHistory {
+    constructor(inputId, project = 'default', limit = null) {
+        this.input = document.getElementById(inputId);
+        this.key = 'console_history_' + project;
+        this.limit = limit || parseInt(localStorage.getItem('console_history_limit'), 10) || defaultLimit;
+        this.entries = this.load();
+        this.index = this.entries.length;
+        this.draft = '';
+        this.search = null;
+
+        if (!this.input) return;
+
+        this.prompt = document.getElementById('console-prompt');
+        this.promptText = this.prompt ? this.prompt.textContent : '>';
+        this.match = document.createElement('span');
+        this.match.id = 'console-search-match';
+        this.input.parentElement.insertBefore(this.match, this.input.nextSibling);
+
+        this.setupEvents();
+    }
+
+    load() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.key) || '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch (e) {
+            console.error('Error loading console history:', e);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.key, JSON.stringify(this.entries));
+        } catch (e) {
+            console.error('Error saving console history:', e);
+        }
+    }
+
+    add(cmd) {
+        // Repeated commands move to the end instead of piling up
+        this.entries = this.entries.filter((entry) => entry !== cmd);
+        this.entries.push(cmd);
+        if (this.entries.length > this.limit) {
+            this.entries = this.entries.slice(this.entries.length - this.limit);
+        }
+        this.index = this.entries.length;
+        this.draft = '';
+        this.save();
+    }
+
+    setLimit(limit) {
+        this.limit = Math.max(1, limit);
+        try {
+            localStorage.setItem('console_history_limit', this.limit);
+        } catch (e) {
+            console.error('Error saving console history limit:', e);
+        }
+        this.entries = this.entries.slice(-this.limit);
+        this.index = this.entries.length;
+        this.save();
+    }
+
+    clear() {
+        this.entries = [];
+        this.index = 0;
+        this.save();
+    }
+
+    getEntries() {
+        return [...this.entries];
+    }
+
+    // One command per line, ready to be run again as a command script
+    toScript() {
+        return this.entries.join('\n') + '\n';
+    }
+
+    navigate(step) {
+        if (this.entries.length === 0) return;
+
+        // Keep what was being typed to get back to it past the newest entry
+        if (this.index === this.entries.length) this.draft = this.input.value;
+
+        this.index = Math.min(Math.max(this.index + step, 0), this.entries.length);
+        this.input.value = (this.index === this.entries.length) ? this.draft : this.entries[this.index];
+        this.input.setSelectionRange(this.input.value.length, this.input.value.length);
+    }
+
+    // Reverse search
+
+    startSearch() {
+        this.search = { result: -1, original: this.input.value };
+        this.input.value = '';
+        if (this.prompt) this.prompt.textContent = '(search)';
+        this.updateSearch();
+    }
+
+    updateSearch(older = false) {
+        const query = this.input.value;
+        const from = older ? this.search.result : this.entries.length;
+
+        this.search.result = -1;
+        if (query) {
+            for (let i = from - 1; i >= 0; i--) {
+                if (this.entries[i].includes(query)) {
+                    this.search.result = i;
+                    break;
+                }
+            }
+        }
+
+        const found = this.search.result >= 0;
+        this.match.textContent = found ? this.entries[this.search.result] : (query ? 'no match' : '');
+        this.match.className = found ? '' : 'no-match';
+        this.match.style.display = 'inline';
+    }
+
+    endSearch(accept) {
+        const result = (accept && this.search.result >= 0) ? this.entries[this.search.result] : this.search.original;
+        this.search = null;
+        this.input.value = result;
+        this.match.style.display = 'none';
+        if (this.prompt) this.prompt.textContent = this.promptText;
+        this.index = this.entries.length;
+    }
+
+    isSearching() {
+        return this.search !== null;
+    }
+
+    setupEvents() {
+        // While searching the typed text is the query, not a command to complete
+        this.input.addEventListener('input', (e) => {
+            if (!this.isSearching()) return;
+            e.stopImmediatePropagation();
+            this.updateSearch();
+        }, true);
+
+        this.input.addEventListener('blur', () => {
+            if (this.isSearching()) this.endSearch(false);
+        });
+
+        // Capture, so the search gets its keys before the completion popup does
+        this.input.addEventListener('keydown', (e) => {
+            if (e.ctrlKey && e.key === 'r') {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                if (this.isSearching()) this.updateSearch(true);
+                else this.startSearch();
+                return;
+            }
+
+            if (!this.isSearching()) return;
+
+            if (e.key === 'Escape' || (e.ctrlKey && (e.key === 'g' || e.key === 'c'))) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                this.endSearch(false);
+            } else if (e.key === 'Enter') {
+                // Let the console run it
+                this.endSearch(true);
+            } else if (e.key === 'Tab' || e.key === 'ArrowRight' || e.key === 'ArrowLeft' ||
+                       e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                this.endSearch(true);
+            }
+        }, true);
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.navigate(-1);
+            } else if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.navigate(1);
+            }
+        });
+    }
+}
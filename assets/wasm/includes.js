@@ -0,0 +1,45 @@
+// Includes Module
+// Path helpers for #include resolution and source maps from the expanded
+// shader the engine compiles back to the files the lines came from
+
+export const includeRegex = /^[ \t]*#include\s+["<]([^">]+)[">]/gm;
+const includeLineRegex = /^[ \t]*#include\s+["<]([^">]+)[">]/;
+
+export function dirname(path) {
+    const index = path.lastIndexOf('/');
+    return index >= 0 ? path.substring(0, index) : '';
+}
+
+export function joinPath(dir, path) {
+    const parts = [];
+    (dir ? dir + '/' + path : path).split('/').forEach((part) => {
+        if (part === '' || part === '.') return;
+        if (part === '..') parts.pop();
+        else parts.push(part);
+    });
+    return parts.join('/');
+}
+
+// Mirrors the engine's include expansion: each #include line is replaced by the
+// (recursively expanded) file, and files already included are skipped.
+// Returns one { file, line } entry per line of the expanded source.
+export function buildSourceMap(code, fs, file, dir = '', included = new Set()) {
+    const map = [];
+    const lines = code.replace(/\r?\n$/, '').split(/\r?\n/);
+
+    lines.forEach((text, i) => {
+        const match = text.match(includeLineRegex);
+        if (match) {
+            const path = joinPath(dir, match[1]);
+            if (included.has(path)) return;
+            if (fs.fileExists(path)) {
+                included.add(path);
+                map.push(...buildSourceMap(fs.readFile(path), fs, path, dirname(path), included));
+                return;
+            }
+        }
+        map.push({ file: file, line: i + 1 });
+    });
+
+    return map;
+}
@@ -0,0 +1,280 @@
+// ISF Module
+// Converts Interactive Shader Format (ISF) fragment shaders into glslViewer shaders:
+// INPUTS become uniforms for the uniforms panel, PASSES become buffers and the
+// IMG_* functions and ISF builtins are rewritten to their glslViewer equivalents
+
+const headerRegex = /^\s*\/\*\s*(\{[\s\S]*?\})\s*\*\//;
+
+const builtins = [
+    ['RENDERSIZE', 'u_resolution'],
+    ['TIMEDELTA', 'u_delta'],
+    ['TIME', 'u_time'],
+    ['FRAMEINDEX', 'u_frame'],
+    ['DATE', 'u_date'],
+    ['isf_FragNormCoord', '(gl_FragCoord.xy / u_resolution)'],
+    ['vv_FragNormCoord', '(gl_FragCoord.xy / u_resolution)']
+];
+
+const engineUniforms = [
+    ['u_resolution', 'vec2'],
+    ['u_time', 'float'],
+    ['u_delta', 'float'],
+    ['u_frame', 'int'],
+    ['u_date', 'vec4']
+];
+
+export function isISF(code) {
+    const match = code.match(headerRegex);
+    if (!match) return false;
+    try {
+        const header = JSON.parse(match[1]);
+        return typeof header === 'object' && ('INPUTS' in header || 'PASSES' in header || 'ISFVSN' in header);
+    } catch (e) {
+        return false;
+    }
+}
+
+// Replaces a name that is not a member access or part of a longer identifier
+function replaceName(code, name, replacement) {
+    return code.replace(new RegExp('(^|[^.\\w])' + name + '\\b', 'g'), (m, before) => before + replacement);
+}
+
+// Replaces every call to fn, giving replace() its top level arguments
+function replaceCalls(code, fn, replace) {
+    const regex = new RegExp('\\b' + fn + '\\s*\\(', 'g');
+    let result = '';
+    let last = 0;
+    let match;
+
+    while ((match = regex.exec(code)) !== null) {
+        let depth = 1;
+        let i = match.index + match[0].length;
+        const args = [];
+        let argStart = i;
+
+        for (; i < code.length && depth > 0; i++) {
+            const c = code[i];
+            if (c === '(') depth++;
+            else if (c === ')') depth--;
+            else if (c === ',' && depth === 1) {
+                args.push(code.substring(argStart, i).trim());
+                argStart = i + 1;
+            }
+        }
+        if (depth > 0) break;
+        args.push(code.substring(argStart, i - 1).trim());
+
+        result += code.substring(last, match.index) + replace(args);
+        last = i;
+        regex.lastIndex = i;
+    }
+    return result + code.substring(last);
+}
+
+function formatNumber(value) {
+    const text = String(Number(value));
+    return /[.e]/.test(text) ? text : text + '.0';
+}
+
+function toArray(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+// ISF sizes like "$WIDTH/2" become glslViewer buffer sizes: a scale or a fixed WxH.
+// Returns the comment that sizes the buffer and the GLSL expression of its size
+function bufferSize(pass) {
+    const scale = (expression, variable) => {
+        if (expression === undefined) return 1;
+        const text = String(expression).replace(/\s/g, '');
+        if (text === '$' + variable) return 1;
+
+        let match = text.match(new RegExp('^\\$' + variable + '\\/(\\d+(?:\\.\\d+)?)$'));
+        if (match) return 1 / parseFloat(match[1]);
+        match = text.match(new RegExp('^\\$' + variable + '\\*(\\d*\\.?\\d+)$'));
+        if (match) return parseFloat(match[1]);
+        return null;
+    };
+
+    const x = scale(pass.WIDTH, 'WIDTH');
+    const y = scale(pass.HEIGHT, 'HEIGHT');
+    if (x !== null && y !== null && x === y) {
+        return (x === 1) ? { comment: '', size: 'u_resolution' } : { comment: ' // ' + x, size: '(u_resolution * ' + formatNumber(x) + ')' };
+    }
+    if (/^\d+$/.test(String(pass.WIDTH)) && /^\d+$/.test(String(pass.HEIGHT))) {
+        return {
+            comment: ' // ' + pass.WIDTH + 'x' + pass.HEIGHT,
+            size: 'vec2(' + formatNumber(pass.WIDTH) + ', ' + formatNumber(pass.HEIGHT) + ')'
+        };
+    }
+    return null;
+}
+
+// Returns { frag, commands, warnings }. commands set the INPUTS to their DEFAULT values.
+export function importISF(code) {
+    const match = code.match(headerRegex);
+    if (!match) throw new Error('Missing ISF JSON header');
+
+    let header;
+    try {
+        header = JSON.parse(match[1]);
+    } catch (err) {
+        throw new Error('Invalid ISF JSON header: ' + err.message);
+    }
+
+    const warnings = [];
+    const declarations = [];
+    const commands = [];
+    const samplers = {};
+    const names = {};
+    let texCount = 0;
+    let body = code.substring(match[0].length).trim();
+
+    // Images (inputs and imported files) are textures, sized by their resolution uniform
+    const addTexture = (name, what) => {
+        const sampler = 'u_tex' + texCount++;
+        samplers[name] = { sampler, size: sampler + 'Resolution' };
+        declarations.push('uniform sampler2D   ' + sampler + ';');
+        declarations.push('uniform vec2        ' + sampler + 'Resolution;');
+        warnings.push(name + ' is ' + sampler + ', drop ' + what + ' to load it');
+    };
+
+    (header.INPUTS || []).forEach((input) => {
+        const name = input.NAME;
+        if (!name) return;
+        const uniform = 'u_' + name.replace(/^u_/, '');
+        const hasDefault = input.DEFAULT !== undefined;
+
+        switch (input.TYPE) {
+            case 'image':
+                addTexture(name, 'an image');
+                break;
+            case 'audio':
+            case 'audioFFT':
+                addTexture(name, 'an audio texture');
+                break;
+            case 'float': {
+                const min = input.MIN !== undefined ? input.MIN : 0;
+                const max = input.MAX !== undefined ? input.MAX : 1;
+                declarations.push('uniform float       ' + uniform + '; // [' + formatNumber(min) + ', ' + formatNumber(max) + ']');
+                names[name] = uniform;
+                if (hasDefault) commands.push(uniform + ',' + input.DEFAULT);
+                break;
+            }
+            case 'long': {
+                // Sliders are floats, the shader keeps getting an int
+                const values = input.VALUES || [input.MIN || 0, input.MAX !== undefined ? input.MAX : 1];
+                const min = Math.min(...values);
+                const max = Math.max(...values);
+                declarations.push('uniform float       ' + uniform + '; // [' + formatNumber(min) + ', ' + formatNumber(max) + ']');
+                names[name] = 'int(' + uniform + ' + 0.5)';
+                if (hasDefault) commands.push(uniform + ',' + input.DEFAULT);
+                break;
+            }
+            case 'bool':
+            case 'event':
+                declarations.push('uniform bool        ' + uniform + ';');
+                names[name] = uniform;
+                if (hasDefault) commands.push(uniform + ',' + (input.DEFAULT ? 1 : 0));
+                break;
+            case 'color':
+                declarations.push('uniform vec4        ' + uniform + '; // color');
+                names[name] = uniform;
+                commands.push(uniform + ',' + (hasDefault ? toArray(input.DEFAULT) : [1, 1, 1, 1]).join(','));
+                break;
+            case 'point2D': {
+                const min = input.MIN !== undefined ? Math.min(...toArray(input.MIN)) : 0;
+                const max = input.MAX !== undefined ? Math.max(...toArray(input.MAX)) : 1;
+                declarations.push('uniform vec2        ' + uniform + '; // [' + formatNumber(min) + ', ' + formatNumber(max) + ']');
+                names[name] = uniform;
+                if (hasDefault) commands.push(uniform + ',' + toArray(input.DEFAULT).join(','));
+                break;
+            }
+            default:
+                warnings.push('Unsupported ISF input type "' + input.TYPE + '" for ' + name);
+        }
+    });
+
+    Object.keys(header.IMPORTED || {}).forEach((name) => {
+        const imported = header.IMPORTED[name];
+        addTexture(name, (imported && imported.PATH) ? imported.PATH : 'an image');
+    });
+
+    // Every pass but the last one renders into a buffer, persistent ones keep their previous frame
+    const passes = header.PASSES || [];
+    const passDefines = [];
+    let bufferCount = 0;
+    let doubleBufferCount = 0;
+    let persistentSeen = false;
+
+    passes.forEach((pass, index) => {
+        if (index === passes.length - 1 && !pass.TARGET) return;
+        if (!pass.TARGET) {
+            warnings.push('ISF pass ' + index + ' has no TARGET and is skipped');
+            return;
+        }
+
+        const persistent = pass.PERSISTENT === true || pass.PERSISTENT === 1 || pass.PERSISTENT === 'true';
+        const sampler = persistent ? 'u_doubleBuffer' + doubleBufferCount : 'u_buffer' + bufferCount;
+        const define = persistent ? 'DOUBLE_BUFFER_' + doubleBufferCount++ : 'BUFFER_' + bufferCount++;
+
+        // glslViewer renders every buffer before the double buffers
+        if (persistent) persistentSeen = true;
+        else if (persistentSeen) warnings.push('Pass ' + pass.TARGET + ' now renders before the persistent passes');
+
+        let size = bufferSize(pass);
+        if (size === null) {
+            warnings.push('Size of pass ' + pass.TARGET + ' is not supported, using the full resolution');
+            size = { comment: '', size: 'u_resolution' };
+        }
+
+        samplers[pass.TARGET] = { sampler, size: size.size };
+        declarations.push('uniform sampler2D   ' + sampler + ';' + size.comment);
+        passDefines.push({ define, index });
+    });
+
+    // IMG_* functions
+    const samplerOf = (name) => {
+        if (samplers[name]) return samplers[name];
+        warnings.push('Unknown ISF image: ' + name);
+        return { sampler: name, size: 'u_resolution' };
+    };
+    body = replaceCalls(body, 'IMG_NORM_PIXEL', ([name, coord]) => 'texture2D(' + samplerOf(name).sampler + ', ' + coord + ')');
+    body = replaceCalls(body, 'IMG_PIXEL', ([name, coord]) => {
+        const image = samplerOf(name);
+        return 'texture2D(' + image.sampler + ', (' + coord + ') / ' + image.size + ')';
+    });
+    body = replaceCalls(body, 'IMG_THIS_NORM_PIXEL', ([name]) => 'texture2D(' + samplerOf(name).sampler + ', gl_FragCoord.xy / u_resolution)');
+    body = replaceCalls(body, 'IMG_THIS_PIXEL', ([name]) => 'texture2D(' + samplerOf(name).sampler + ', gl_FragCoord.xy / u_resolution)');
+    body = replaceCalls(body, 'IMG_SIZE', ([name]) => samplerOf(name).size);
+
+    // Images used directly, inputs and builtins
+    Object.keys(samplers).forEach((name) => { body = replaceName(body, name, samplers[name].sampler); });
+    Object.keys(names).forEach((name) => { body = replaceName(body, name, names[name]); });
+    builtins.forEach(([name, replacement]) => { body = replaceName(body, name, replacement); });
+
+    // Each buffer knows which pass it is
+    let passIndex = '';
+    if (/\bPASSINDEX\b/.test(body) || passDefines.length > 0) {
+        passDefines.forEach((pass, i) => {
+            passIndex += (i === 0 ? '#if' : '#elif') + ' defined(' + pass.define + ')\n#define PASSINDEX ' + pass.index + '\n';
+        });
+        const last = Math.max(passes.length - 1, 0);
+        passIndex += passDefines.length > 0 ? '#else\n#define PASSINDEX ' + last + '\n#endif\n' : '#define PASSINDEX ' + last + '\n';
+    }
+
+    engineUniforms.forEach(([name, type]) => {
+        if (new RegExp('\\b' + name + '\\b').test(body)) {
+            declarations.push('uniform ' + type.padEnd(12) + name + ';');
+        }
+    });
+
+    const title = header.DESCRIPTION ? '// ' + header.DESCRIPTION.split('\n')[0] + '\n' : '';
+    const credit = header.CREDIT ? '// by ' + header.CREDIT + '\n' : '';
+    const frag = title + credit + '// Imported from ISF\n\n' +
+        '#ifdef GL_ES\nprecision highp float;\n#endif\n\n' +
+        declarations.join('\n') + '\n\n' +
+        (passIndex ? passIndex + '\n' : '') +
+        body + '\n';
+
+    return { frag, commands, warnings };
+}
@@ -0,0 +1,216 @@
+// Literals Module
+// Alt-drag scrubbing of numeric literals and color swatches on vec3/vec4 literals,
+// applying the edits live while keeping the compile loop responsive
+
+import { hexToRgb, rgbToHex } from './uniforms.js';
+
+const numberRegex = /-?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+const fullNumberRegex = /^-?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/;
+const vecRegex = /\bvec([34])\s*\(([^()]*)\)/g;
+
+function countDecimals(literal) {
+    const dot = literal.indexOf('.');
+    return dot === -1 ? 0 : literal.length - dot - 1;
+}
+
+// Keep the literal an int or a float, with the precision it had
+function formatLike(value, original) {
+    if (/[eE]/.test(original)) return parseFloat(value.toPrecision(6)).toExponential();
+    if (original.indexOf('.') === -1) return Math.round(value).toString();
+
+    return value.toFixed(Math.max(countDecimals(original), 1));
+}
+
+export class LiteralControls {
+    constructor(editor, onLiveChange, minIntervalMs = 50) {
+        this.editor = editor;
+        this.onLiveChange = onLiveChange;
+        this.minIntervalMs = minIntervalMs;
+        this.compiling = false;
+        this.pending = false;
+        this.lastCompile = 0;
+        this.swatches = [];
+        this.swatchTimeout = null;
+
+        this.colorInput = document.createElement('input');
+        this.colorInput.type = 'color';
+        this.colorInput.className = 'literal-color-input';
+        document.body.appendChild(this.colorInput);
+
+        this.setupNumberScrubbing();
+        this.setupColorSwatches();
+    }
+
+    // Compile at most one shader at a time, and no more often than minIntervalMs,
+    // so fast drags collapse into the latest value instead of piling up compiles
+    requestCompile() {
+        if (this.compiling) {
+            this.pending = true;
+            return;
+        }
+
+        const wait = Math.max(0, this.minIntervalMs - (performance.now() - this.lastCompile));
+        this.compiling = true;
+        setTimeout(() => {
+            this.lastCompile = performance.now();
+            Promise.resolve(this.onLiveChange())
+                .catch((err) => console.error('Error applying live edit:', err))
+                .finally(() => {
+                    this.compiling = false;
+                    if (this.pending) {
+                        this.pending = false;
+                        this.requestCompile();
+                    }
+                });
+        }, wait);
+    }
+
+    findNumberAt(pos) {
+        const text = this.editor.getLine(pos.line);
+        numberRegex.lastIndex = 0;
+
+        let match;
+        while ((match = numberRegex.exec(text)) !== null) {
+            let start = match.index;
+            let literal = match[0];
+            const end = start + literal.length;
+            if (pos.ch < start || pos.ch > end) continue;
+
+            // In 'x-1.0' the minus is the operator, not the sign
+            if (literal[0] === '-' && start > 0 && /[\w)\]]/.test(text[start - 1])) {
+                start += 1;
+                literal = literal.substring(1);
+            }
+
+            // Skip digits that belong to identifiers like u_tex0 or vec3
+            const before = start > 0 ? text[start - 1] : '';
+            if (/[\w.]/.test(before)) return null;
+
+            return { text: literal, from: { line: pos.line, ch: start }, to: { line: pos.line, ch: end } };
+        }
+        return null;
+    }
+
+    setupNumberScrubbing() {
+        this.editor.on('mousedown', (cm, e) => {
+            if (!e.altKey || e.button !== 0) return;
+
+            const pos = cm.coordsChar({ left: e.clientX, top: e.clientY });
+            const literal = this.findNumberAt(pos);
+            if (!literal) return;
+
+            e.preventDefault();
+            document.body.classList.add('scrubbing');
+
+            const startX = e.clientX;
+            const startValue = parseFloat(literal.text);
+            // Integers move by one, floats by their last decimal and exponents by a percent
+            let step = Math.pow(10, -Math.max(countDecimals(literal.text), 1));
+            if (/[eE]/.test(literal.text)) step = Math.abs(startValue) * 0.01 || 0.01;
+            else if (literal.text.indexOf('.') === -1) step = 1;
+            let to = literal.to;
+
+            const onMove = (moveEvent) => {
+                const speed = moveEvent.shiftKey ? 10 : 1;
+                const value = startValue + Math.round((moveEvent.clientX - startX) / 2) * step * speed;
+                const text = formatLike(value, literal.text);
+
+                cm.replaceRange(text, literal.from, to, '+scrub');
+                to = { line: literal.from.line, ch: literal.from.ch + text.length };
+                this.requestCompile();
+            };
+
+            const onUp = () => {
+                document.removeEventListener('mousemove', onMove);
+                document.removeEventListener('mouseup', onUp);
+                document.body.classList.remove('scrubbing');
+                this.requestCompile();
+                this.updateSwatches();
+            };
+
+            document.addEventListener('mousemove', onMove);
+            document.addEventListener('mouseup', onUp);
+        });
+    }
+
+    setupColorSwatches() {
+        this.editor.on('change', (cm, change) => {
+            // Swatch edits move their own bookmarks
+            if (change.origin === '+scrub') return;
+
+            if (this.swatchTimeout) clearTimeout(this.swatchTimeout);
+            this.swatchTimeout = setTimeout(() => {
+                this.swatchTimeout = null;
+                this.updateSwatches();
+            }, 300);
+        });
+        this.updateSwatches();
+    }
+
+    updateSwatches() {
+        this.swatches.forEach((bookmark) => bookmark.clear());
+        this.swatches = [];
+
+        this.editor.eachLine((lineHandle) => {
+            const line = this.editor.getLineNumber(lineHandle);
+            const text = lineHandle.text;
+            vecRegex.lastIndex = 0;
+
+            let match;
+            while ((match = vecRegex.exec(text)) !== null) {
+                const args = match[2].split(',').map((arg) => arg.trim());
+                const count = parseInt(match[1], 10);
+
+                // Only literals that look like colors: all components numbers between 0 and 1
+                if (args.length !== count || !args.every((arg) => fullNumberRegex.test(arg))) continue;
+                const values = args.map(parseFloat);
+                if (!values.every((v) => v >= 0 && v <= 1)) continue;
+
+                const argsStart = match.index + match[0].indexOf('(') + 1;
+                this.addSwatch(line, match.index, argsStart, match[2], values);
+            }
+        });
+    }
+
+    addSwatch(line, ch, argsStart, argsText, values) {
+        const swatch = document.createElement('span');
+        swatch.className = 'literal-swatch';
+        swatch.style.background = 'rgb(' + values.slice(0, 3).map((v) => Math.round(v * 255)).join(',') + ')';
+        swatch.title = 'Pick color';
+
+        const bookmark = this.editor.setBookmark({ line, ch }, { widget: swatch, insertLeft: true });
+        this.swatches.push(bookmark);
+
+        // Track the arguments with a text marker so edits keep their range up to date
+        const marker = this.editor.markText(
+            { line, ch: argsStart },
+            { line, ch: argsStart + argsText.length },
+            { inclusiveLeft: true, inclusiveRight: true });
+        this.swatches.push(marker);
+
+        swatch.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            const range = marker.find();
+            if (!range) return;
+            const original = this.editor.getRange(range.from, range.to).split(',').map((arg) => arg.trim());
+
+            this.colorInput.value = rgbToHex(original.map(parseFloat));
+            this.colorInput.oninput = () => {
+                const current = marker.find();
+                if (!current) return;
+
+                const rgb = hexToRgb(this.colorInput.value);
+                // Components keep at least three decimals so the color survives the round trip
+                const components = original.map((arg, i) =>
+                    (i < 3) ? rgb[i].toFixed(Math.max(countDecimals(arg), 3)) : arg);
+                this.editor.replaceRange(components.join(', '), current.from, current.to, '+scrub');
+                swatch.style.background = this.colorInput.value;
+                this.requestCompile();
+            };
+            this.colorInput.onchange = () => this.updateSwatches();
+            this.colorInput.click();
+        });
+    }
+}
@@ -0,0 +1,197 @@
+// Lygia Module
+// Caches the Lygia index and included sources in IndexedDB, pinned to a Lygia version,
+// and writes the includes a shader needs into the WASM filesystem before it compiles
+
+import { IndexedDBStore } from './storage.js';
+import { includeRegex, dirname, joinPath } from './includes.js';
+
+const LYGIA_REPO = 'patriciogonzalezvivo/lygia';
+// How long the latest Lygia commit is trusted before asking GitHub again
+const LATEST_MAX_AGE = 24 * 60 * 60 * 1000;
+// Versions whose files stay cached
+const MAX_VERSIONS = 3;
+
+function isVersion(version) {
+    return typeof version === 'string' && /^[0-9a-f]{7,40}$/i.test(version);
+}
+
+export class LygiaCache {
+    constructor(options = {}) {
+        this.store = new IndexedDBStore('glslViewer-lygia', 'files');
+        // A mirror serves the Lygia tree, optionally with a {version} placeholder on its URL
+        this.mirror = options.mirror || localStorage.getItem('lygia_mirror') || null;
+        this.version = options.version || null;
+        this.logCallback = options.logCallback || (() => {});
+        this.versionPromise = null;
+        this.index = null;
+        this.indexVersion = null;
+        this.memory = {};
+        this.written = {};
+    }
+
+    pin(version) {
+        // Only commits are versions, a branch like main moves under the shader
+        if (!isVersion(version) || version === this.version) return;
+        this.logCallback('Lygia pinned to version ' + version);
+        this.version = version;
+        this.versionPromise = null;
+        this.index = null;
+        this.pruneVersions(version);
+    }
+
+    getVersion() {
+        return this.version;
+    }
+
+    // Commit the includes come from, or null when none is known: then they come from
+    // the tip of main, without being cached or pinned in saved shaders
+    async resolveVersion() {
+        if (this.version) return this.version;
+
+        if (!this.versionPromise) {
+            this.versionPromise = this.fetchLatestVersion().then((version) => {
+                // A pin may have landed while the latest version was being fetched
+                if (!this.version && version) {
+                    this.version = version;
+                    this.pruneVersions(version);
+                }
+                return this.version;
+            });
+        }
+        return this.versionPromise;
+    }
+
+    async fetchLatestVersion() {
+        // Mirrors serve whatever they have, GitHub is not asked about them
+        if (this.mirror) return null;
+
+        // Anonymous GitHub API calls are rate limited, ask at most once per LATEST_MAX_AGE
+        const cached = await this.store.get('latest').catch(() => null);
+        if (cached && isVersion(cached.sha) && Date.now() - cached.checked < LATEST_MAX_AGE) {
+            return cached.sha;
+        }
+
+        try {
+            const response = await fetch(`https://api.github.com/repos/${LYGIA_REPO}/commits/main`, {
+                headers: { 'Accept': 'application/vnd.github.sha' }
+            });
+            if (!response.ok) throw new Error(response.statusText);
+
+            const sha = (await response.text()).trim();
+            if (!isVersion(sha)) throw new Error('Unexpected version ' + sha);
+            this.store.set('latest', { sha, checked: Date.now() }).catch((e) => console.error('Error caching Lygia version:', e));
+            return sha;
+        } catch (err) {
+            // Offline: keep using the last version we know about
+            console.warn('Could not fetch latest Lygia version:', err);
+            return (cached && isVersion(cached.sha)) ? cached.sha : null;
+        }
+    }
+
+    // Drops the cached files of every version but the MAX_VERSIONS last used
+    async pruneVersions(version) {
+        try {
+            const used = (await this.store.get('versions').catch(() => null)) || [];
+            const versions = [version, ...used.filter((v) => v !== version)];
+            const kept = versions.slice(0, MAX_VERSIONS);
+            await this.store.set('versions', kept);
+
+            const keys = await this.store.keys();
+            await Promise.all(keys
+                .filter((key) => key.includes(':') && !kept.includes(key.split(':')[0]))
+                .map((key) => this.store.delete(key)));
+        } catch (err) {
+            console.error('Error pruning Lygia cache:', err);
+        }
+    }
+
+    getBaseUrl(version) {
+        if (this.mirror) {
+            return this.mirror.replace('{version}', version || 'main').replace(/\/$/, '');
+        }
+        return `https://raw.githubusercontent.com/${LYGIA_REPO}/${version || 'main'}`;
+    }
+
+    // Files of no version only live for the session, main may have moved by the next one
+    async getCached(version, path, fetchValue) {
+        const key = (version || 'main') + ':' + path;
+        if (key in this.memory) return this.memory[key];
+
+        let value = version ? await this.store.get(key).catch(() => undefined) : undefined;
+        if (value === undefined) {
+            value = await fetchValue();
+            if (version) this.store.set(key, value).catch((e) => console.error('Error caching ' + key + ':', e));
+        }
+
+        this.memory[key] = value;
+        return value;
+    }
+
+    async getIndex() {
+        const version = await this.resolveVersion();
+        if (this.index && this.indexVersion === version) return this.index;
+
+        const index = await this.getCached(version, 'glsl.json', async () => {
+            if (this.mirror || !version) {
+                // The tip of main is indexed by lygia.xyz
+                const url = this.mirror ? this.getBaseUrl(version) + '/glsl.json' : 'https://lygia.xyz/glsl.json';
+                const response = await fetch(url);
+                if (!response.ok) throw new Error('Failed to fetch Lygia index (' + response.status + ')');
+                return await response.json();
+            }
+
+            // Once per version, the index is cached with it
+            const response = await fetch(`https://api.github.com/repos/${LYGIA_REPO}/git/trees/${version}?recursive=1`);
+            if (!response.ok) throw new Error('Failed to fetch Lygia index (' + response.status + ')');
+            const data = await response.json();
+            return data.tree
+                .filter((entry) => entry.type === 'blob' && entry.path.endsWith('.glsl'))
+                .map((entry) => 'lygia/' + entry.path);
+        });
+
+        this.index = index;
+        this.indexVersion = version;
+        return index;
+    }
+
+    async getFile(path) {
+        const version = await this.resolveVersion();
+        return this.getCached(version, path, async () => {
+            const url = this.getBaseUrl(version) + '/' + path.replace(/^lygia\//, '');
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(response.statusText + ' (' + response.status + ') ' + url);
+            return await response.text();
+        });
+    }
+
+    // Walk the #include tree of a shader writing every Lygia dependency into the filesystem.
+    // Local files (like include tabs) are followed too, as they can include Lygia themselves.
+    async resolveIncludes(code, fs, dir = '', visited = new Set()) {
+        const version = await this.resolveVersion();
+
+        for (const match of code.matchAll(includeRegex)) {
+            const path = joinPath(dir, match[1]);
+            if (visited.has(path)) continue;
+            visited.add(path);
+
+            let source = null;
+            if (path.startsWith('lygia/')) {
+                try {
+                    source = await this.getFile(path);
+                    if (this.written[path] !== version) {
+                        fs.writeFile(path, source);
+                        this.written[path] = version;
+                    }
+                } catch (err) {
+                    console.error('Error fetching Lygia include ' + path + ':', err);
+                }
+            } else if (fs.fileExists(path)) {
+                source = fs.readFile(path);
+            }
+
+            if (source) {
+                await this.resolveIncludes(source, fs, dirname(path), visited);
+            }
+        }
+    }
+}
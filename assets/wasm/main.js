@@ -6,6 +6,18 @@ import { GitHubIntegration } from './github.js';
 import { GlslViewerIntegration } from './glslviewer.js';
 import { EditorManager } from './editor.js';
 import { UIManager, getQueryVariable } from './ui.js';
+import { DraftManager } from './drafts.js';
+import { LygiaCache } from './lygia.js';
+import { UniformsPanel } from './uniforms.js';
+import { AssetsPanel, getModelDependencies } from './assets.js';
+import { findSequences } from './sequence.js';
+import { CameraInput } from './camera.js';
+import { importShadertoy, exportShadertoy, formatShadertoyExport, getShadertoyShader, isShadertoySource } from './shadertoy.js';
+import { importISF, isISF } from './isf.js';
+import { ConsoleCompletion } from './completion.js';
+import { ConsoleHistory } from './history.js';
+import { ScriptRunner } from './script.js';
+import { readState } from './state.js';
 
 const defaultFragment = `#ifdef GL_ES
 precision mediump float;
@@ -54,19 +66,94 @@ document.addEventListener('DOMContentLoaded', () => {
         vert: defaultVertex
     });
     
+    // Initialize the Lygia cache (use ?lygia=<url> to point to a local mirror)
+    const lygia = new LygiaCache({ mirror: getQueryVariable('lygia'), logCallback: (msg) => ui.logToConsole(msg) });
+    editorManager.setLygiaCache(lygia);
+    glslviewer.setIncludeResolver((code) => lygia.resolveIncludes(code, glslviewer));
+    
     // Initialize GitHub Integration
     const github = new GitHubIntegration();
     
+    // Read the live editor buffer without committing it to editorManager.content,
+    // otherwise a pending onChange debounce would think nothing changed
+    const getLiveContent = () => {
+        const content = { ...editorManager.content };
+        content[editorManager.getActiveTab()] = editorManager.getValue();
+        return content;
+    };
+    
+    // Initialize draft autosave. The scene state takes a round of engine queries,
+    // it is only captured when the page may go away, autosaves keep the last one
+    let draftState = null;
+    const drafts = new DraftManager((final) => {
+        const content = getLiveContent();
+        if (final) draftState = window.getSceneState();
+        return {
+            frag: content.frag,
+            vert: content.vert,
+            files: editorManager.getFiles(),
+            lygia: lygia.getVersion(),
+            state: draftState,
+            assets: glslviewer.getSavedAssets(),
+            gist: getQueryVariable('gist')
+        };
+    });
+    
     // Setup UI components
     ui.setupConsoleEvents();
     ui.setupCanvasFocus('editor-container');
-    ui.setupTabSwitching(editorManager);
+    ui.setupTabSwitching(editorManager, {
+        onSwitch: () => updateShader(),
+        onAddFile: (name) => {
+            if (editorManager.hasFile(name)) {
+                ui.switchTab(name);
+            } else if (addIncludeFile(name)) {
+                ui.switchTab(name);
+                drafts.schedule();
+            }
+        },
+        onRemoveFile: (name) => {
+            ui.removeFileTab(name);
+            editorManager.removeFile(name);
+            glslviewer.removeInclude(name);
+            drafts.schedule();
+        }
+    });
     ui.setupResizeObserver();
     ui.setupScreenshotButton();
     ui.setupViewDropdown(glslviewer);
+    ui.setupUniformsDropdown();
+    ui.setupAssetsDropdown();
     
-    // Setup error highlighting
-    editorManager.setupErrorHighlighting();
+    // Controls for the custom uniforms declared on the shaders
+    const uniformsPanel = new UniformsPanel(glslviewer, 'uniforms-panel');
+    uniformsPanel.onChange = () => drafts.schedule();
+
+    // Files loaded into the WASM filesystem, shaders are sent again so they bind the changed textures
+    const assetsPanel = new AssetsPanel(glslviewer, 'assets-list', ui.updateLoader.bind(ui));
+    assetsPanel.onChange = () => {
+        const content = editorManager.getAllContent();
+        glslviewer.setFrag(content.frag);
+        glslviewer.setVert(content.vert);
+        drafts.schedule();
+    };
+    
+    // Webcam streamed into a texture, not saved with the shader
+    const cameraInput = new CameraInput(glslviewer, 'camera-input', (msg, isError) => ui.logToConsole(msg, isError));
+    cameraInput.onChange = () => {
+        const content = editorManager.getAllContent();
+        glslviewer.setFrag(content.frag);
+        glslviewer.setVert(content.vert);
+    };
+    
+    // Setup error highlighting, compiles report their messages mapped through #include expansion
+    editorManager.setupErrorHighlighting({
+        openTab: (name) => ui.switchTab(name),
+        readFile: (path) => glslviewer.readFile(path)
+    });
+    glslviewer.on('compileError', (e) => editorManager.showDiagnostics(e.type, e.diagnostics));
+    glslviewer.on('compileSuccess', (e) => editorManager.showDiagnostics(e.type, e.diagnostics));
+    glslviewer.on('stateChanged', () => drafts.schedule());
     
     // Handle fullscreen with glslviewer commands
     ui.setupResizeButton((isFullscreen) => {
@@ -77,19 +164,162 @@ document.addEventListener('DOMContentLoaded', () => {
     const updateShader = () => {
         const code = editorManager.getValue();
         const activeTab = editorManager.getActiveTab();
+        let applied;
         
         if (activeTab === 'frag') {
-            glslviewer.setFrag(code);
+            applied = glslviewer.setFrag(code);
         } else if (activeTab === 'vert') {
-            glslviewer.setVert(code);
+            applied = glslviewer.setVert(code);
+        } else {
+            // Include file: update it on the filesystem and recompile the shaders that may use it
+            glslviewer.setInclude(activeTab, code);
+            const content = editorManager.getAllContent();
+            glslviewer.setFrag(content.frag);
+            applied = glslviewer.setVert(content.vert);
+        }
+        
+        uniformsPanel.update(Object.values(getLiveContent()));
+        return applied;
+    };
+    
+    // Add (or replace) an extra source file that shaders can #include
+    const addIncludeFile = (name, code = '') => {
+        try {
+            editorManager.addFile(name, code);
+        } catch (err) {
+            ui.logToConsole(err.message, true);
+            return false;
+        }
+        ui.addFileTab(name);
+        glslviewer.setInclude(name, code);
+        return true;
+    };
+    
+    // Replace the current shaders with a Shadertoy one (source text or parsed JSON)
+    const loadShadertoy = (input) => {
+        let result;
+        try {
+            result = importShadertoy(input);
+        } catch (err) {
+            ui.logToConsole('Error importing Shadertoy shader: ' + err.message, true);
+            return;
         }
+        
+        editorManager.setContent('frag', result.frag);
+        editorManager.setContent('vert', result.vert);
+        // Vertex first, so the fragment compiles against a matching GLSL version
+        glslviewer.setVert(result.vert);
+        glslviewer.setFrag(result.frag);
+        uniformsPanel.update(Object.values(getLiveContent()));
+        
+        ui.logToConsole('Imported Shadertoy shader');
+        result.warnings.forEach((warning) => ui.logToConsole(warning, true));
+        drafts.schedule();
     };
     
+    // Replace the current shaders with an ISF one, its INPUTS end up on the uniforms panel
+    const loadISF = (code) => {
+        let result;
+        try {
+            result = importISF(code);
+        } catch (err) {
+            ui.logToConsole('Error importing ISF shader: ' + err.message, true);
+            return;
+        }
+        
+        editorManager.setContent('frag', result.frag);
+        editorManager.setContent('vert', defaultVertex);
+        glslviewer.setVert(defaultVertex);
+        glslviewer.setFrag(result.frag);
+        
+        // Start the inputs at their ISF defaults
+        uniformsPanel.update(Object.values(getLiveContent()));
+        uniformsPanel.loadCommands(result.commands);
+        result.commands.forEach((cmd) => glslviewer.sendCommand(cmd, false));
+        
+        ui.logToConsole('Imported ISF shader');
+        result.warnings.forEach((warning) => ui.logToConsole(warning, true));
+        drafts.schedule();
+    };
+    
+    ui.setupImportDropdown({
+        onImport: (text) => {
+            const trimmed = text.trim();
+            if (isISF(text)) {
+                loadISF(text);
+            } else if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+                try {
+                    loadShadertoy(JSON.parse(trimmed));
+                } catch (err) {
+                    ui.logToConsole('Error parsing Shadertoy JSON: ' + err.message, true);
+                }
+            } else {
+                loadShadertoy(text);
+            }
+        },
+        onExport: () => {
+            const result = exportShadertoy(getLiveContent().frag);
+            result.warnings.forEach((warning) => ui.logToConsole(warning, true));
+            if (result.passes.length > 1) {
+                ui.logToConsole('Exported ' + result.passes.map((pass) => pass.name).join(', ') + ', paste each section on its own tab');
+            }
+            return formatShadertoyExport(result.passes);
+        }
+    });
+    
     // Setup editor change handler
     editorManager.onChange(updateShader);
+    editorManager.setupLiteralControls(updateShader);
     
-    // Console input handler
-    ui.setupConsoleInput((cmd) => {
+    // Autosave user edits (programmatic setValue calls are not drafts)
+    editorManager.getEditor().on('change', (cm, change) => {
+        if (change.origin !== 'setValue') drafts.schedule();
+    });
+    window.addEventListener('beforeunload', () => drafts.flush());
+    window.addEventListener('pagehide', () => drafts.flush());
+    
+    // The engine's own GL objects (buffers, billboards, textures) don't survive a lost
+    // WebGL context. Once the browser gives it back the page reloads, restoring its draft
+    window.addEventListener('wasm-contextlost', () => {
+        ui.logToConsole('WebGL context lost, reloading once it is restored...', true);
+        drafts.flush();
+    });
+    window.addEventListener('wasm-contextrestored', () => drafts.reload());
+    
+    // Console history is kept per gist, before completion so its search gets keys first
+    const consoleHistory = new ConsoleHistory('console-input', getQueryVariable('gist') || 'default');
+    
+    // Tab completion and usage hints for engine commands
+    const consoleCompletion = new ConsoleCompletion(glslviewer, 'console-input');
+    
+    // history[,clear|export|limit,<size>]
+    const runHistoryCommand = (cmd) => {
+        const args = cmd.split(',');
+        ui.logToConsole('> ' + cmd);
+        
+        if (args.length === 1) {
+            consoleHistory.getEntries().forEach((entry, i) => ui.logToConsole((i + 1) + '  ' + entry));
+        } else if (args[1] === 'clear') {
+            consoleHistory.clear();
+        } else if (args[1] === 'export') {
+            ui.downloadText('history.cmds', consoleHistory.toScript());
+        } else if (args[1] === 'limit' && args.length === 3 && parseInt(args[2], 10) > 0) {
+            consoleHistory.setLimit(parseInt(args[2], 10));
+        } else {
+            ui.logToConsole('Use: history[,clear|export|limit,<size>]', true);
+        }
+    };
+    
+    // Run a command the way the console does, used by the console and by scripts.
+    // Resolves once the engine ran it
+    const executeCommand = (cmd) => {
+        if (cmd === 'history' || cmd.startsWith('history,')) {
+            runHistoryCommand(cmd);
+            return Promise.resolve();
+        }
+        
+        let done = Promise.resolve();
+        
         // Handle fullscreen commands through UI
         if (cmd === 'fullscreen,on') {
             ui.setFullscreen(true);
@@ -107,62 +337,146 @@ document.addEventListener('DOMContentLoaded', () => {
             ui.logToConsole('> ' + cmd);
             ui.logToConsole(ui.getFullscreen() ? 'on' : 'off');
         } else {
-            glslviewer.sendCommand(cmd);
+            done = glslviewer.run(cmd);
         }
-    });
+        drafts.schedule();
+        return done;
+    };
+    
+    // Command scripts, dropped as .cmds files or pasted as several lines on the console
+    const scriptRunner = new ScriptRunner(executeCommand, 'script-runner', ui.logToConsole.bind(ui));
+    
+    // Console input handler
+    ui.setupConsoleInput((cmd) => {
+        if (cmd !== 'history' && !cmd.startsWith('history,')) consoleHistory.add(cmd);
+        // Errors the engine printed are on the console already
+        executeCommand(cmd).catch((err) => {
+            if (!err.stderr) ui.logToConsole(err.message, true);
+        });
+    }, (text) => scriptRunner.run(text, 'pasted script'));
     
     // File drag & drop handler
     ui.setupFileDragDrop((files) => {
         ui.showLoader();
         
-        const promises = [];
+        // Files a dropped model references go into the WASM filesystem first, keeping their
+        // relative paths, so the model finds them once loaded
+        const dependencies = getModelDependencies(files.map(({ path }) => path));
+        const dependenciesLoaded = Promise.all(files
+            .filter(({ path }) => dependencies.has(path))
+            .map(({ file, path }) => glslviewer.handleFileDrop(file, null, ui.updateLoader.bind(ui), path, false)));
+        
+        const promises = [dependenciesLoaded];
+        
+        // Numbered frames become one animated texture instead of a texture each.
+        // Loose images (not in a folder) may be separate textures, those are asked about
+        const frames = new Set();
+        findSequences(files.filter(({ path }) => !dependencies.has(path))).forEach((sequence) => {
+            const first = sequence.frames[0].path;
+            const last = sequence.frames[sequence.frames.length - 1].path;
+            const description = sequence.frames.length + ' frames (' + first + ' to ' + last + ')';
+            if (!sequence.inFolder && !confirm('Load ' + description + ' as one image sequence, ' + sequence.name + '?\nCancel loads them as separate textures.')) {
+                return;
+            }
+            
+            ui.logToConsole('Loading ' + description + ' as image sequence ' + sequence.name);
+            sequence.frames.forEach(({ path }) => frames.add(path));
+            promises.push(
+                glslviewer.addSequence(sequence.name, sequence.frames.map(({ file }) => file), ui.updateLoader.bind(ui))
+                .then(() => {
+                    const content = editorManager.getAllContent();
+                    glslviewer.setFrag(content.frag);
+                    glslviewer.setVert(content.vert);
+                })
+                .catch((err) => ui.logToConsole('Error loading ' + sequence.name + ': ' + err.message, true))
+            );
+        });
+        
+        // Files written to the WASM filesystem and loaded by the engine
+        const dropAsset = (file, path, ext) => dependenciesLoaded
+            .then(() => glslviewer.handleFileDrop(file, null, ui.updateLoader.bind(ui), path))
+            .then(() => {
+                const content = editorManager.getAllContent();
+                
+                // If default shaders and asset is 3D model, fetch backend shaders
+                if (content.frag === defaultFragment && content.vert === defaultVertex) {
+                    if (['ply', 'obj', 'gltf', 'glb', 'splat'].includes(ext)) {
+                        if (glslviewer.isModuleReady()) {
+                            const shaders = glslviewer.fetchShadersFromBackend();
+                            if (shaders.frag) editorManager.setContent('frag', shaders.frag);
+                            if (shaders.vert) editorManager.setContent('vert', shaders.vert);
+                            glslviewer.sendCommand('sky,on');
+                        }
+                    }
+                } else {
+                    // Reload shaders to trigger reload with new asset
+                    ui.clearConsole();
+                    glslviewer.setFrag(content.frag);
+                    glslviewer.setVert(content.vert);
+                }
+            });
+        
         for (let i = 0; i < files.length; i++) {
-            const file = files[i];
+            const { file, path } = files[i];
             const name = file.name;
             const ext = name.split('.').pop().toLowerCase();
+            if (dependencies.has(path) || frames.has(path)) continue;
             
-            if (ext === 'frag' || ext === 'fs' || ext === 'vert' || ext === 'vs') {
-                // Shader files
+            if (ext === 'frag' || ext === 'fs' || ext === 'vert' || ext === 'vs' || ext === 'glsl') {
+                // Shader and include files
                 promises.push(
                     glslviewer.handleFileDrop(file, (type, data) => {
-                        editorManager.setContent(type, data);
+                        if (editorManager.isIncludeFile(type)) {
+                            if (addIncludeFile(type, data)) {
+                                const content = editorManager.getAllContent();
+                                glslviewer.setFrag(content.frag);
+                                glslviewer.setVert(content.vert);
+                            }
+                        } else if (type === 'frag' && isISF(data)) {
+                            loadISF(data);
+                        } else if (type === 'frag' && isShadertoySource(data)) {
+                            loadShadertoy(data);
+                        } else {
+                            editorManager.setContent(type, data);
+                        }
                     }, ui.updateLoader.bind(ui))
                 );
-            } else {
-                // Asset files
+            } else if (ext === 'cmds') {
+                // Command scripts run on their own, no need to keep the loader up (.txt files are assets)
+                file.text()
+                    .then((text) => scriptRunner.run(text, name))
+                    .catch((err) => ui.logToConsole('Error running ' + name + ': ' + err.message, true));
+            } else if (ext === 'json') {
+                // Shadertoy JSON exports, other JSON files are assets
                 promises.push(
-                    glslviewer.handleFileDrop(file, null, ui.updateLoader.bind(ui))
-                    .then(() => {
-                        const content = editorManager.getAllContent();
-                        
-                        // If default shaders and asset is 3D model, fetch backend shaders
-                        if (content.frag === defaultFragment && content.vert === defaultVertex) {
-                            if (['ply', 'obj', 'gltf', 'glb', 'splat'].includes(ext)) {
-                                if (glslviewer.isModuleReady()) {
-                                    const shaders = glslviewer.fetchShadersFromBackend();
-                                    if (shaders.frag) editorManager.setContent('frag', shaders.frag);
-                                    if (shaders.vert) editorManager.setContent('vert', shaders.vert);
-                                    glslviewer.sendCommand('sky,on');
-                                }
-                            }
-                        } else {
-                            // Reload shaders to trigger reload with new asset
-                            ui.clearConsole();
-                            glslviewer.setFrag(content.frag);
-                            glslviewer.setVert(content.vert);
+                    file.text().then((text) => {
+                        let shader = null;
+                        try {
+                            shader = getShadertoyShader(JSON.parse(text));
+                        } catch (err) {
+                            // Not even JSON, still an asset
                         }
-                    })
+                        if (shader) loadShadertoy(shader);
+                        else return dropAsset(file, path, ext);
+                    }).catch((err) => ui.logToConsole('Error loading ' + name + ': ' + err.message, true))
                 );
+            } else {
+                // Asset files
+                promises.push(dropAsset(file, path, ext));
             }
         }
         
-        Promise.all(promises).finally(() => {
+        Promise.all(promises).catch((err) => {
+            ui.logToConsole('Error loading dropped files: ' + err.message, true);
+        }).finally(() => {
             ui.hideLoader();
+            drafts.schedule();
         });
     });
     
     // GitHub buttons setup
     ui.setupGitHubButtons(github, {
+        onNew: () => drafts.flush(),
         onSave: async () => {
             let filename = prompt("Enter a name for your shader:", "shader");
             if (!filename) return;
@@ -171,17 +485,21 @@ document.addEventListener('DOMContentLoaded', () => {
             const payload = {
                 frag: content.frag,
                 vert: content.vert,
-                commands: [
-                    ...glslviewer.getRetainedState(),
-                    ...(ui.getFullscreen() ? ['fullscreen,on'] : [])
-                ],
-                assets: glslviewer.getExternalAssets()
+                files: editorManager.getFiles(),
+                lygia: await lygia.resolveVersion(),
+                state: window.getSceneState(),
+                assets: glslviewer.getSavedAssets()
             };
             
             try {
-                const id = await github.saveGist(payload, filename);
+                const id = await github.saveGist(payload, filename, {
+                    onWarning: (msg) => ui.logToConsole(msg, true)
+                });
                 ui.logToConsole('Saved to Gist: ' + id);
                 
+                // Work is safe on GitHub, no need to offer it back as a draft
+                await drafts.clear();
+                
                 const newUrl = window.location.protocol + "//" + window.location.host + 
                                window.location.pathname + '?gist=' + id;
                 window.history.pushState({path:newUrl},'',newUrl);
@@ -195,65 +513,119 @@ document.addEventListener('DOMContentLoaded', () => {
     });
     
     // Expose methods for external use
+    window.getSceneState = () => {
+        return { ...glslviewer.getState(), fullscreen: ui.getFullscreen() };
+    };
     window.getRetainedState = () => {
         return [
-            ...glslviewer.getRetainedState(),
+            ...glslviewer.getStateCommands(window.getSceneState()),
             ...(ui.getFullscreen() ? ['fullscreen,on'] : [])
         ];
     };
     window.getGistHistory = () => github.getGistHistory();
+    // Lets the camera input be driven from outside, like glslViewerCamera.start(canvas.captureStream())
+    window.glslViewerCamera = cameraInput;
     
-    // Wait for Module to be ready
-    const checkModule = setInterval(() => {
-        if (glslviewer.isModuleReady()) {
-            clearInterval(checkModule);
-            console.log("Module loaded, sending initial shader.");
+    // Load a saved payload (gist JSON or draft) into the editor and the engine
+    const applyPayload = async (json) => {
+        // Render with the same Lygia the shader was saved with
+        if (json.lygia) lygia.pin(json.lygia);
+        
+        // Include files go first so the main shaders can resolve them
+        if (json.files) {
+            Object.entries(json.files).forEach(([name, code]) => addIncludeFile(name, code));
+        }
+        
+        if (json.frag) editorManager.setContent('frag', json.frag);
+        if (json.vert) editorManager.setContent('vert', json.vert);
+        
+        updateShader();
+        
+        if (json.assets) {
+            await glslviewer.loadAssetsFromGist(json.assets, ui.updateLoader.bind(ui));
+        }
+        
+        // Restore the scene state, older payloads keep it as a list of commands
+        const state = readState(json);
+        if (state) {
+            // Autosaves keep it until the next capture
+            draftState = state;
+            const commands = glslviewer.getStateCommands(state);
+            uniformsPanel.loadCommands(commands);
+            commands.forEach((cmd) => {
+                if (cmd.startsWith('fullscreen,')) {
+                    const state = cmd.split(',')[1];
+                    ui.setFullscreen(state === 'on');
+                } else {
+                    glslviewer.sendCommand(cmd);
+                }
+            });
+            if (state.fullscreen) ui.setFullscreen(true);
             
-            ui.hideLoader();
-
-            const gistId = getQueryVariable('gist');
-            if (gistId) {
-                // Load gist
-                github.loadGist(gistId, {
-                    onStart: () => ui.showLoader("Loading Gist..."),
-                    onUpdate: (text) => ui.updateLoader(text),
-                    onSuccess: async (json) => {
-                        if (json.frag) editorManager.setContent('frag', json.frag);
-                        if (json.vert) editorManager.setContent('vert', json.vert);
-                        
-                        updateShader();
-                        
-                        if (json.assets) {
-                            await glslviewer.loadAssetsFromGist(json.assets, ui.updateLoader.bind(ui));
-                        }
-                        
-                        // Apply commands
-                        if (json.commands && Array.isArray(json.commands)) {
-                            json.commands.forEach((cmd) => {
-                                if (cmd.startsWith('fullscreen,')) {
-                                    const state = cmd.split(',')[1];
-                                    ui.setFullscreen(state === 'on');
-                                } else {
-                                    glslviewer.sendCommand(cmd);
-                                }
-                            });
-                        }
-                        
-                        // Re-send shaders to trigger reload with assets
-                        const content = editorManager.getAllContent();
-                        glslviewer.setFrag(content.frag);
-                        glslviewer.setVert(content.vert);
-                        
-                        ui.hideLoader();
-                    },
-                    onError: (error) => {
-                        ui.logToConsole('Error loading Gist: ' + error, true);
-                        ui.hideLoader();
-                    }
-                });
-            } else {
-                updateShader();
+            // The engine can't change it, buffers sized in pixels may look different
+            const pixelDensity = parseFloat(glslviewer.query('pixel_density'));
+            if (state.pixelDensity && pixelDensity && state.pixelDensity !== pixelDensity) {
+                ui.logToConsole('Saved with a pixel density of ' + state.pixelDensity + ', this display has ' + pixelDensity);
             }
         }
-    }, 500);
+        
+        // Re-send shaders to trigger reload with assets
+        const content = editorManager.getAllContent();
+        glslviewer.setFrag(content.frag);
+        glslviewer.setVert(content.vert);
+    };
+    
+    // Offer to bring back the last autosaved draft, if any
+    const restoreDraft = async () => {
+        const draft = await drafts.load();
+        if (!draft) return false;
+        
+        let message = 'Restore the unsaved draft from ' + new Date(draft.savedAt).toLocaleString();
+        if (draft.gist) message += ' (based on gist ' + draft.gist + ')';
+        message += '?';
+        
+        // Reloads made to recover (like from a lost WebGL context) don't ask
+        if (!drafts.isRecovering() && !confirm(message)) {
+            await drafts.clear();
+            return false;
+        }
+        
+        ui.showLoader("Restoring draft...");
+        try {
+            await applyPayload(draft);
+            ui.logToConsole('Draft restored');
+        } catch (err) {
+            ui.logToConsole('Error restoring draft: ' + err.message, true);
+        }
+        ui.hideLoader();
+        return true;
+    };
+    
+    // Wait for Module to be ready
+    glslviewer.ready.then(async () => {
+        console.log("Module loaded, sending initial shader.");
+        
+        ui.hideLoader();
+
+        if (await restoreDraft()) return;
+
+        const gistId = getQueryVariable('gist');
+        if (gistId) {
+            // Load gist
+            github.loadGist(gistId, {
+                onStart: () => ui.showLoader("Loading Gist..."),
+                onUpdate: (text) => ui.updateLoader(text),
+                onSuccess: async (json) => {
+                    await applyPayload(json);
+                    ui.hideLoader();
+                },
+                onError: (error) => {
+                    ui.logToConsole('Error loading Gist: ' + error, true);
+                    ui.hideLoader();
+                }
+            });
+        } else {
+            updateShader();
+        }
+    });
 });
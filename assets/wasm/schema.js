@@ -0,0 +1,249 @@
+// Schema Module
+// Arguments of every native glslViewer command (types, arity and accepted values),
+// used to validate commands before they reach the engine and to suggest their values
+
+const onOff = ['on', 'off'];
+const onOffToggle = ['on', 'off', 'toggle'];
+
+function num(name) {
+    return { name, type: 'number' };
+}
+
+function int(name) {
+    return { name, type: 'int' };
+}
+
+function str(name) {
+    return { name, type: 'string' };
+}
+
+function oneOf(values, name = null) {
+    return { name: name || values.join('|'), type: 'enum', values };
+}
+
+const xyz = [num('x'), num('y'), num('z')];
+const rgb = [num('r'), num('g'), num('b')];
+const resolution = [[], [int('resolution')]];
+
+// Each command lists the argument lists it accepts
+export const commandSchema = {
+    // Information
+    help: [[], [str('command')]],
+    version: [[]],
+    about: [[]],
+    window_width: [[]],
+    window_height: [[]],
+    screen_size: [[]],
+    viewport: [[]],
+    mouse: [[]],
+    delta: [[]],
+    date: [[]],
+    files: [[]],
+    glsl_version: [[]],
+    pixel_density: [[]],
+    defines: [[]],
+    lights: [[]],
+    cubemaps: [[]],
+    materials: [[]],
+    material: [[str('name')]],
+    uniforms: [[], [oneOf(['all', 'active', 'defined', 'textures', 'buffers', 'cubemaps', 'lights', 'cameras', 'streams', 'on', 'off'])]],
+    dependencies: [[], [oneOf(['vert', 'frag'])]],
+
+    // Output
+    screenshot: [[], [str('filename')]],
+    sequence: [[num('from_sec'), num('to_sec')], [num('from_sec'), num('to_sec'), num('fps')]],
+    secs: [[num('A'), num('B')], [num('A'), num('B'), num('fps')]],
+    frames: [[int('A'), int('B')], [int('A'), int('B'), num('fps')]],
+    record: [[str('file'), num('A'), num('B')], [str('file'), num('A'), num('B'), num('fps')]],
+    max_mem_in_queue: [[], [int('bytes')]],
+
+    // Timing and window
+    fullFps: [[], [oneOf(onOff)]],
+    fps: [[], [int('fps')]],
+    vsync: [[], [oneOf(onOff)]],
+    cursor: [[], [oneOf(onOff)]],
+    time: [[], [num('seconds')]],
+    reset: [[]],
+    wait: [[num('seconds')]],
+    wait_sec: [[num('seconds')]],
+    wait_ms: [[num('milliseconds')]],
+    wait_us: [[num('microseconds')]],
+
+    // Shaders
+    frag: [[], [str('filename')]],
+    vert: [[], [str('filename')]],
+    define: [[str('KEYWORD')], [str('KEYWORD'), str('VALUE')]],
+    undefine: [[str('KEYWORD')]],
+    reload: [[], [str('filename')]],
+    update: [[]],
+    error_screen: [[oneOf(onOff)]],
+
+    // Debug views
+    debug: [[], [oneOf(onOff)]],
+    track: [[], [oneOf(['on', 'off', 'average', 'samples'])]],
+    plot: [[], [oneOf(['off', 'luma', 'red', 'green', 'blue', 'rgb', 'fps', 'ms'])]],
+    textures: [[], [oneOf(['on', 'off', 'toggle', 'list'])]],
+    buffers: [[], [oneOf(['on', 'off', 'toggle', 'show', 'hide', 'list'])], [int('index'), oneOf(onOff)]],
+    grid: [[], [oneOf(onOffToggle)]],
+    axis: [[], [oneOf(onOffToggle)]],
+    bboxes: [[], [oneOf(onOffToggle)]],
+
+    // Geometry
+    plane: resolution,
+    pcl_plane: resolution,
+    sphere: resolution,
+    pcl_sphere: resolution,
+    icosphere: resolution,
+    cylinder: [[], [int('resolution_radius')], [int('resolution_radius'), int('resolution_height')]],
+    models: [[], [oneOf(['clear'])]],
+    model: [[str('name')], [str('name'), ...xyz]],
+    origin: [[], xyz],
+    generate_sdf: [[], [num('padding')], [num('padding'), int('resolution')]],
+
+    // Environment
+    cubemap: [[], [oneOf(['on', 'off', 'toggle', 'sh'])]],
+    sky: [[], [oneOf(onOffToggle)]],
+    sun_elevation: [[], [num('degrees')]],
+    sun_azimuth: [[], [num('degrees')]],
+    sky_turbidity: [[], [num('sky_turbidity')]],
+    floor: [[], [oneOf(['on', 'off', 'toggle', 'res'])], [int('subD_level')]],
+    floor_color: [[], rgb],
+
+    // Light
+    light_position: [[], xyz],
+    light_color: [[], rgb],
+    light_falloff: [[], [num('value')]],
+    light_intensity: [[], [num('value')]],
+
+    // Camera
+    camera: [[], [str('name')]],
+    camera_distance: [[], [num('dist')]],
+    camera_type: [[], [oneOf(['ortho', 'perspective'])]],
+    camera_fov: [[], [num('field_of_view')]],
+    camera_position: [[], xyz],
+    camera_move: [xyz],
+    camera_look_at: [[], xyz],
+    camera_exposure: [[], [num('aperture'), num('shutter'), num('sensitivity')]],
+
+    // Render
+    blend: [[], [oneOf(['none', 'off', 'alpha', 'add', 'multiply', 'screen', 'substract'])]],
+    depth_test: [[], [oneOf(onOff)]],
+    culling: [[], [oneOf(['none', 'front', 'back', 'both'])]],
+    dynamic_shadows: [[], [oneOf(onOff)]],
+
+    // Streams
+    stream: [
+        [str('uniform_name'), oneOf(['play', 'stop', 'restart', 'speed', 'time', 'pct'])],
+        [str('uniform_name'), oneOf(['speed', 'time', 'pct']), num('value')]
+    ],
+    streams: [
+        [],
+        [oneOf(['play', 'stop', 'restart'])],
+        [oneOf(['speed', 'time', 'pct', 'frame', 'prevs']), num('value')]
+    ],
+
+    // Exit
+    exit: [[]],
+    quit: [[]],
+    q: [[]]
+};
+
+const numberRegex = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const intRegex = /^[-+]?\d+$/;
+
+function checkArg(arg, value) {
+    switch (arg.type) {
+        case 'number': return numberRegex.test(value) ? null : arg.name + ' should be a number';
+        case 'int': return intRegex.test(value) ? null : arg.name + ' should be an integer';
+        case 'enum': return arg.values.includes(value) ? null : 'expected ' + arg.values.join('|');
+        default: return value ? null : arg.name + ' is empty';
+    }
+}
+
+function formatArgs(args) {
+    return args.map((arg) => (arg.type === 'enum') ? arg.name : '<' + arg.name + '>').join(',');
+}
+
+// Usage of a command, like camera_position[,<x>,<y>,<z>]
+export function formatUsage(name) {
+    const forms = commandSchema[name];
+    if (!forms) return name;
+
+    // Optional arguments go in brackets, like the engine's help does
+    if (forms.length === 2 && forms[0].length === 0) return name + '[,' + formatArgs(forms[1]) + ']';
+    return forms.map((args) => args.length ? name + ',' + formatArgs(args) : name).join(' | ');
+}
+
+// The values an enum argument at index accepts, given the arguments before it
+export function getArgValues(name, args, index) {
+    const values = [];
+    (commandSchema[name] || []).forEach((form) => {
+        const arg = form[index];
+        if (!arg || arg.type !== 'enum') return;
+        if (form.slice(0, index).some((a, i) => checkArg(a, args[i]) !== null)) return;
+        arg.values.forEach((value) => { if (!values.includes(value)) values.push(value); });
+    });
+    return values;
+}
+
+function distance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (v, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+            previous = current;
+        }
+    }
+    return row[b.length];
+}
+
+// Closest command name to a mistyped one, if any is close enough
+export function suggestCommand(name) {
+    let best = null;
+    let bestDistance = Math.max(1, Math.min(2, Math.floor(name.length / 3)));
+    Object.keys(commandSchema).forEach((candidate) => {
+        const d = distance(name, candidate);
+        if (d <= bestDistance && (best === null || d < bestDistance)) {
+            best = candidate;
+            bestDistance = d;
+        }
+    });
+    return best;
+}
+
+// Returns null when cmd is fine, or the reason it is not.
+// isUniform(name) tells if name is a uniform of the shader, setting those is a command too
+export function validateCommand(cmd, isUniform = () => false) {
+    const parts = cmd.trim().split(',');
+    const name = parts[0];
+    const args = parts.slice(1);
+    const forms = commandSchema[name];
+
+    if (!forms) {
+        // Anything else with numbers sets a uniform, unless it looks like a mistyped command
+        const numbers = args.length > 0 && args.every((value) => numberRegex.test(value));
+        const suggestion = name.startsWith('u_') ? null : suggestCommand(name);
+        if (numbers && (!suggestion || isUniform(name))) return null;
+        return 'Unknown command ' + name + (suggestion ? ', did you mean ' + suggestion + '?' : '');
+    }
+
+    const candidates = forms.filter((form) => form.length === args.length);
+    if (candidates.length === 0) {
+        const counts = [...new Set(forms.map((form) => form.length))];
+        return name + ' takes ' + counts.join(' or ') + ' arguments, use: ' + formatUsage(name);
+    }
+
+    // Report the problem of the argument list that got furthest
+    let problem = null;
+    for (const form of candidates) {
+        const index = form.findIndex((arg, i) => checkArg(arg, args[i]) !== null);
+        if (index === -1) return null;
+        if (!problem || index > problem.index) {
+            problem = { index, message: checkArg(form[index], args[index]) };
+        }
+    }
+    return name + ': ' + problem.message + ', got "' + args[problem.index] + '". Use: ' + formatUsage(name);
+}
@@ -0,0 +1,191 @@
+// Script Module
+// Runs command scripts (one command per line) like the native command files,
+// honoring wait,<seconds> and web_wait_frames,<frames> (web only, the native app has no frame wait),
+// with pause/stop and per-line status
+
+const statusIcons = { pending: '·', running: '▶', done: '✓', error: '✗', skipped: '–' };
+
+const waitRegex = /^(wait|wait_sec|wait_ms|wait_us|sleep),\s*(\d*\.?\d+)$/;
+const waitFramesRegex = /^web_wait_frames,\s*(\d+)$/;
+const waitScales = { wait: 1000, sleep: 1000, wait_sec: 1000, wait_ms: 1, wait_us: 0.001 };
+
+export function parseScript(text) {
+    const lines = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+        const cmd = line.trim();
+        // Blank lines and comments
+        if (!cmd || cmd.startsWith('#') || cmd.startsWith('//')) return;
+        lines.push({ cmd, line: i + 1, status: 'pending' });
+    });
+    return lines;
+}
+
+function nextFrame() {
+    return new Promise((resolve) => requestAnimationFrame(() => resolve()));
+}
+
+export class ScriptRunner {
+    constructor(runCommand, elementId, logCallback) {
+        this.runCommand = runCommand;
+        this.element = document.getElementById(elementId);
+        this.logCallback = logCallback;
+        this.lines = [];
+        this.name = '';
+        this.current = -1;
+        this.running = false;
+        this.paused = false;
+        this.stopped = false;
+    }
+
+    isRunning() {
+        return this.running;
+    }
+
+    async run(text, name = 'script') {
+        if (this.running) {
+            this.stop();
+            while (this.running) await nextFrame();
+        }
+
+        this.lines = parseScript(text);
+        this.name = name;
+        this.current = -1;
+        this.paused = false;
+        this.stopped = false;
+        this.running = true;
+        this.render();
+        this.logCallback('Running ' + name + ' (' + this.lines.length + ' commands)');
+
+        let failed = 0;
+        for (let i = 0; i < this.lines.length; i++) {
+            if (this.stopped) break;
+            this.current = i;
+            const line = this.lines[i];
+            line.status = 'running';
+            this.renderLine(i);
+
+            try {
+                await this.runLine(line.cmd);
+                line.status = 'done';
+            } catch (err) {
+                line.status = 'error';
+                failed++;
+                this.logCallback(name + ':' + line.line + ' ' + err.message, true);
+            }
+            this.renderLine(i);
+        }
+
+        this.lines.forEach((line, i) => {
+            if (line.status === 'pending') {
+                line.status = 'skipped';
+                this.renderLine(i);
+            }
+        });
+
+        this.running = false;
+        this.render();
+        const summary = this.stopped ? 'stopped' : 'finished' + (failed ? ' with ' + failed + ' errors' : '');
+        this.logCallback(name + ' ' + summary, failed > 0);
+    }
+
+    async runLine(cmd) {
+        const wait = cmd.match(waitRegex);
+        if (wait) {
+            await this.wait(parseFloat(wait[2]) * waitScales[wait[1]]);
+            return;
+        }
+
+        const waitFrames = cmd.match(waitFramesRegex);
+        if (waitFrames) {
+            for (let frames = parseInt(waitFrames[1], 10); frames > 0 && !this.stopped; ) {
+                await nextFrame();
+                if (!this.paused) frames--;
+            }
+            return;
+        }
+
+        await this.whilePaused();
+        if (this.stopped) return;
+
+        // Resolves once the engine ran it, rejects on its errors
+        await this.runCommand(cmd);
+    }
+
+    // Sleeps ms milliseconds of unpaused time, returning early if stopped
+    async wait(ms) {
+        let last = performance.now();
+        while (ms > 0 && !this.stopped) {
+            await nextFrame();
+            const now = performance.now();
+            if (!this.paused) ms -= now - last;
+            last = now;
+        }
+    }
+
+    async whilePaused() {
+        while (this.paused && !this.stopped) await nextFrame();
+    }
+
+    pause() {
+        if (!this.running) return;
+        this.paused = !this.paused;
+        this.render();
+    }
+
+    stop() {
+        if (!this.running) return;
+        this.stopped = true;
+        this.paused = false;
+    }
+
+    close() {
+        this.stop();
+        this.lines = [];
+        if (this.element) this.element.style.display = 'none';
+    }
+
+    render() {
+        if (!this.element) return;
+        this.element.innerHTML = '';
+        this.element.style.display = this.lines.length > 0 ? 'block' : 'none';
+
+        const header = document.createElement('div');
+        header.className = 'script-header';
+
+        const title = document.createElement('span');
+        title.className = 'script-title';
+        title.textContent = this.name + (this.running ? (this.paused ? ' (paused)' : ' (running)') : '');
+        header.appendChild(title);
+
+        const buttons = this.running
+            ? [[this.paused ? 'Resume' : 'Pause', () => this.pause()], ['Stop', () => this.stop()]]
+            : [['Close', () => this.close()]];
+        buttons.forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.addEventListener('click', action);
+            header.appendChild(button);
+        });
+        this.element.appendChild(header);
+
+        this.list = document.createElement('div');
+        this.list.className = 'script-lines';
+        this.lines.forEach((line, i) => {
+            const item = document.createElement('div');
+            this.list.appendChild(item);
+            this.renderLine(i, item);
+        });
+        this.element.appendChild(this.list);
+    }
+
+    renderLine(index, item = null) {
+        if (!this.list) return;
+        item = item || this.list.children[index];
+        if (!item) return;
+
+        const line = this.lines[index];
+        item.className = 'script-line ' + line.status;
+        item.textContent = statusIcons[line.status] + ' ' + line.line + '  ' + line.cmd;
+        if (line.status === 'running') item.scrollIntoView({ block: 'nearest' });
+    }
+}
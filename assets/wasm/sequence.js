@@ -0,0 +1,75 @@
+// Sequence Module
+// Detects numbered image frames among dropped files and packs them, with their fps and loop
+// settings, into a single .seq asset the engine plays as one animated texture
+
+const frameRegex = /^(.*?)(\d+)\.(png|jpe?g|tga|bmp|psd|gif)$/i;
+const minFrames = 4;
+
+export const defaultFps = 24;
+
+// Name of the .seq asset for frames named like prefix + number, e.g. walk/walk_0001.png -> walk/walk.seq
+function sequenceName(prefix) {
+    let name = prefix.replace(/[\s._-]+$/, '');
+    if (name.endsWith('/')) name = name.slice(0, -1);
+    if (!name || name.endsWith('/')) name += 'sequence';
+    return name + '.seq';
+}
+
+// Groups { file, path } entries into sequences of numbered frames of the same name and type.
+// Returns [{ name, frames, inFolder }] with the frames in order, lone numbered images are left out.
+// inFolder: the frames came in a dropped folder, loose ones may be meant as separate textures
+export function findSequences(files) {
+    const groups = {};
+    files.forEach((entry) => {
+        const match = entry.path.match(frameRegex);
+        if (!match) return;
+
+        const key = match[1] + '\0' + match[3].toLowerCase();
+        if (!groups[key]) groups[key] = { prefix: match[1], frames: [] };
+        groups[key].frames.push({ ...entry, number: parseInt(match[2], 10) });
+    });
+
+    return Object.values(groups)
+        .filter((group) => group.frames.length >= minFrames)
+        .map((group) => ({
+            name: sequenceName(group.prefix),
+            frames: group.frames.sort((a, b) => a.number - b.number),
+            inFolder: group.prefix.includes('/')
+        }));
+}
+
+// The .seq layout: a 4 bytes little endian header length, the JSON header
+// { fps, loop, frames: [{ name, size }] } and the frames one after the other
+export function packSequence(frames, options = {}) {
+    const header = new TextEncoder().encode(JSON.stringify({
+        fps: options.fps || defaultFps,
+        loop: options.loop !== false,
+        frames: frames.map((frame) => ({ name: frame.name, size: frame.data.length }))
+    }));
+
+    const size = frames.reduce((total, frame) => total + frame.data.length, 4 + header.length);
+    const data = new Uint8Array(size);
+    new DataView(data.buffer).setUint32(0, header.length, true);
+    data.set(header, 4);
+
+    let offset = 4 + header.length;
+    frames.forEach((frame) => {
+        data.set(frame.data, offset);
+        offset += frame.data.length;
+    });
+    return data;
+}
+
+export function unpackSequence(data) {
+    const length = new DataView(data.buffer, data.byteOffset, data.byteLength).getUint32(0, true);
+    const header = JSON.parse(new TextDecoder().decode(data.subarray(4, 4 + length)));
+
+    let offset = 4 + length;
+    const frames = header.frames.map((frame) => {
+        const bytes = data.subarray(offset, offset + frame.size);
+        offset += frame.size;
+        return { name: frame.name, data: bytes };
+    });
+
+    return { fps: header.fps || defaultFps, loop: header.loop !== false, frames };
+}
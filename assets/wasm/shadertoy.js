@@ -0,0 +1,348 @@
+// Shadertoy Module
+// Converts Shadertoy shaders (single sources, or API JSON exports with buffers)
+// into glslViewer shaders, and glslViewer shaders back into Shadertoy passes
+
+const bufferNames = ['Buffer A', 'Buffer B', 'Buffer C', 'Buffer D'];
+const sectionRegex = /^\/\/ ---- (.+) ----[ \t]*$/m;
+
+export const shadertoyVertex = `#version 300 es
+
+#ifdef GL_ES
+precision mediump float;
+#endif
+
+in      vec4    a_position;
+
+void main() {
+    gl_Position = a_position;
+}
+`;
+
+// Engine uniforms, in the order they get declared
+const engineUniforms = [
+    ['u_resolution', 'vec2'],
+    ['u_mouse', 'vec2'],
+    ['u_time', 'float'],
+    ['u_delta', 'float'],
+    ['u_frame', 'int'],
+    ['u_date', 'vec4']
+];
+
+export function isShadertoySource(code) {
+    return /\bvoid\s+mainImage\s*\(/.test(code) && !/\bvoid\s+main\s*\(\s*(void)?\s*\)/.test(code);
+}
+
+// Returns the shader object of a Shadertoy API response or export, or null
+export function getShadertoyShader(json) {
+    if (!json) return null;
+    if (Array.isArray(json)) json = json[0];
+    if (json && json.Shader) json = json.Shader;
+    return (json && Array.isArray(json.renderpass)) ? json : null;
+}
+
+function replaceWord(code, word, replacement) {
+    return code.replace(new RegExp('\\b' + word + '\\b', 'g'), replacement);
+}
+
+// Removes the function whose signature matches regex, body included
+function removeFunction(code, regex) {
+    const match = code.match(regex);
+    if (!match) return code;
+
+    const open = code.indexOf('{', match.index);
+    if (open === -1) return code;
+
+    let depth = 0;
+    for (let i = open; i < code.length; i++) {
+        if (code[i] === '{') depth++;
+        else if (code[i] === '}' && --depth === 0) {
+            return code.substring(0, match.index) + code.substring(i + 1);
+        }
+    }
+    return code;
+}
+
+// Rewrites the Shadertoy inputs of one pass. channels[N] is the sampler bound to iChannelN.
+function convertPass(code, channels) {
+    const resolution = (sampler) => {
+        const match = sampler.match(/^u_tex(\d+)$/);
+        return match ? 'u_tex' + match[1] + 'Resolution' : 'u_resolution';
+    };
+
+    code = code
+        .replace(/\biChannelResolution\s*\[\s*(\d)\s*\]/g, (m, n) => 'vec3(' + resolution(channels[n]) + ', 1.0)')
+        .replace(/\biChannel(\d)\b/g, (m, n) => channels[n])
+        .replace(/\biResolution\.([xy]{1,2})\b/g, 'u_resolution.$1')
+        .replace(/\biMouse\.([xy]{1,2})\b/g, 'u_mouse.$1');
+
+    code = replaceWord(code, 'iResolution', 'vec3(u_resolution, 1.0)');
+    code = replaceWord(code, 'iMouse', 'vec4(u_mouse, 0.0, 0.0)');
+    code = replaceWord(code, 'iGlobalTime', 'u_time');
+    code = replaceWord(code, 'iTimeDelta', 'u_delta');
+    code = replaceWord(code, 'iTime', 'u_time');
+    code = replaceWord(code, 'iFrameRate', '(1.0 / u_delta)');
+    code = replaceWord(code, 'iFrame', 'u_frame');
+    code = replaceWord(code, 'iDate', 'u_date');
+    return code.trim();
+}
+
+function declareUniforms(code) {
+    const lines = [];
+    const samplers = new Set(code.match(/\bu_(?:buffer|doubleBuffer|tex)\d+\b/g) || []);
+    [...samplers].sort().forEach((name) => lines.push('uniform sampler2D   ' + name + ';'));
+
+    (code.match(/\bu_tex\d+Resolution\b/g) || [])
+        .filter((name, i, all) => all.indexOf(name) === i)
+        .forEach((name) => lines.push('uniform vec2        ' + name + ';'));
+
+    engineUniforms.forEach(([name, type]) => {
+        if (new RegExp('\\b' + name + '\\b').test(code)) {
+            lines.push('uniform ' + type.padEnd(12) + name + ';');
+        }
+    });
+    return lines.join('\n');
+}
+
+// passes: [{ name, code, buffer, double }] where buffer is the BUFFER_N index (undefined for the image),
+// DOUBLE_BUFFER_N when double is set
+function assembleShader(title, common, passes) {
+    const buffers = passes.filter((pass) => pass.buffer !== undefined);
+    const image = passes.find((pass) => pass.buffer === undefined);
+
+    let body = '';
+    if (buffers.length === 0) {
+        body = image ? image.code : '';
+    } else {
+        buffers.forEach((pass, i) => {
+            const define = (pass.double ? 'DOUBLE_BUFFER_' : 'BUFFER_') + pass.buffer;
+            body += (i === 0 ? '#if' : '#elif') + ' defined(' + define + ')\n';
+            body += '// ' + pass.name + '\n' + pass.code + '\n\n';
+        });
+        body += '#else\n// Image\n' + (image ? image.code : '') + '\n\n#endif';
+    }
+
+    const source = [common, body].filter(Boolean).join('\n\n');
+
+    return '#version 300 es\n\n' +
+        (title ? '// ' + title + '\n// Imported from Shadertoy\n\n' : '// Imported from Shadertoy\n\n') +
+        '#ifdef GL_ES\nprecision highp float;\n#endif\n\n' +
+        declareUniforms(source) + '\n\n' +
+        'out     vec4        fragColor;\n\n' +
+        source + '\n\n' +
+        'void main() {\n' +
+        '    vec4 color = vec4(0.0, 0.0, 0.0, 1.0);\n' +
+        '    mainImage(color, gl_FragCoord.xy);\n' +
+        '    fragColor = color;\n' +
+        '}\n';
+}
+
+function defaultChannels() {
+    return [0, 1, 2, 3].map((n) => 'u_tex' + n);
+}
+
+// A plain source: a single image pass, or an export made by exportShadertoy with its sections
+function importSource(code, warnings) {
+    const parts = code.split(sectionRegex);
+    if (parts.length === 1) {
+        return assembleShader(null, '', [{ name: 'Image', code: convertPass(code, defaultChannels()) }]);
+    }
+
+    let common = '';
+    const passes = [];
+    for (let i = 1; i < parts.length; i += 2) {
+        const name = parts[i].trim();
+        let passCode = parts[i + 1];
+
+        // Exports of glslViewer shaders carry every buffer on each pass, the image has them all
+        if (name !== 'Image' && /\b(?:DOUBLE_)?BUFFER_\d+\b/.test(passCode)) continue;
+
+        // Our own exports note which sampler each channel had
+        const channels = defaultChannels();
+        passCode = passCode.replace(/^\/\/ iChannel(\d): (u_\w+).*$/gm, (m, n, sampler) => {
+            channels[n] = sampler;
+            return '';
+        }).replace(/^#define (?:DOUBLE_)?BUFFER_\d+\s*$/m, '');
+
+        if (name === 'Common') {
+            common = convertPass(passCode, channels);
+            continue;
+        }
+
+        const buffer = bufferNames.indexOf(name);
+        if (name !== 'Image' && buffer === -1) {
+            warnings.push('Skipping unsupported Shadertoy pass: ' + name);
+            continue;
+        }
+        passes.push({ name, code: convertPass(passCode, channels), buffer: buffer === -1 ? undefined : buffer });
+    }
+    return assembleShader(null, common, passes);
+}
+
+function importJSON(shader, warnings) {
+    const title = shader.info ? shader.info.name : null;
+
+    // Buffers are referenced by the id of their output
+    const bufferIds = {};
+    shader.renderpass.forEach((pass) => {
+        const buffer = bufferNames.indexOf(pass.name);
+        if (pass.type === 'buffer' && buffer !== -1 && pass.outputs && pass.outputs[0]) {
+            bufferIds[pass.outputs[0].id] = buffer;
+        }
+    });
+
+    const bufferIndex = (input) => {
+        const previz = (input.src || input.filepath || '').match(/buffer0(\d)\.png$/);
+        return (input.id in bufferIds) ? bufferIds[input.id] : (previz ? parseInt(previz[1], 10) : 0);
+    };
+
+    // Buffers reading their own output need the previous frame, glslViewer double buffers keep it
+    const feedback = new Set();
+    shader.renderpass.forEach((pass) => {
+        const buffer = bufferNames.indexOf(pass.name);
+        if (pass.type !== 'buffer' || buffer === -1) return;
+        (pass.inputs || []).forEach((input) => {
+            if ((input.ctype || input.type) === 'buffer' && bufferIndex(input) === buffer) feedback.add(buffer);
+        });
+    });
+
+    const textures = [];
+    let common = '';
+    const passes = [];
+
+    shader.renderpass.forEach((pass) => {
+        const channels = defaultChannels();
+        const buffer = bufferNames.indexOf(pass.name);
+
+        (pass.inputs || []).forEach((input) => {
+            const type = input.ctype || input.type;
+
+            if (type === 'buffer') {
+                const index = bufferIndex(input);
+                channels[input.channel] = (feedback.has(index) ? 'u_doubleBuffer' : 'u_buffer') + index;
+            } else if (type === 'texture') {
+                // Every distinct texture gets its own u_texN, in the order they show up
+                const src = input.src || input.filepath || input.id;
+                if (!textures.includes(src)) textures.push(src);
+                channels[input.channel] = 'u_tex' + textures.indexOf(src);
+            } else {
+                warnings.push(pass.name + ': iChannel' + input.channel + ' input type "' + type + '" is not supported');
+            }
+        });
+
+        if (pass.type === 'common') {
+            common = convertPass(pass.code, channels);
+        } else if (pass.type === 'image') {
+            passes.push({ name: 'Image', code: convertPass(pass.code, channels) });
+        } else if (pass.type === 'buffer' && buffer !== -1) {
+            passes.push({ name: pass.name, code: convertPass(pass.code, channels), buffer, double: feedback.has(buffer) });
+        } else {
+            warnings.push('Skipping unsupported Shadertoy pass: ' + (pass.name || pass.type));
+        }
+    });
+
+    textures.forEach((src, i) => {
+        warnings.push('u_tex' + i + ' expects the texture ' + src + ', drop an image to load it');
+    });
+
+    return assembleShader(title, common, passes);
+}
+
+// input: the text of a Shadertoy source, or a parsed Shadertoy JSON
+// Returns { frag, vert, warnings }
+export function importShadertoy(input) {
+    const warnings = [];
+    const shader = (typeof input === 'string') ? null : getShadertoyShader(input);
+    if (typeof input !== 'string' && !shader) {
+        throw new Error('Not a Shadertoy shader');
+    }
+
+    const frag = shader ? importJSON(shader, warnings) : importSource(input, warnings);
+    return { frag, vert: shadertoyVertex, warnings };
+}
+
+// Converts a glslViewer fragment shader into Shadertoy passes.
+// Returns { passes: [{ name, code }], warnings }
+export function exportShadertoy(frag) {
+    const warnings = [];
+
+    // Samplers become channels, in the order they are declared
+    const samplers = [];
+    (frag.match(/\buniform\s+sampler2D\s+(u_(?:buffer|doubleBuffer|tex)\d+)\s*;/g) || []).forEach((declaration) => {
+        const name = declaration.match(/(u_\w+)\s*;/)[1];
+        if (!samplers.includes(name)) samplers.push(name);
+    });
+    if (samplers.length > 4) {
+        warnings.push('Shadertoy only has 4 channels, ' + samplers.slice(4).join(', ') + ' left unbound');
+    }
+
+    // Whatever the main function writes to becomes fragColor
+    const outMatch = frag.match(/^\s*(?:layout\s*\([^)]*\)\s*)?out\s+vec4\s+(\w+)\s*;\s*$/m);
+    let code = frag
+        .replace(/^\s*#version[^\n]*\n/m, '')
+        .replace(/^\s*(?:layout\s*\([^)]*\)\s*)?out\s+vec4\s+\w+\s*;[^\n]*\n/m, '')
+        .replace(/^\s*uniform\s+\w+\s+(u_(?:time|delta|frame|date|mouse|resolution|(?:buffer|doubleBuffer|tex)\d+(?:Resolution)?))\s*;[^\n]*\n/gm, '')
+        .replace(/^\s*varying\s+[^\n]*\n/gm, '')
+        .replace(/^\/\/ Imported from Shadertoy\n/m, '');
+
+    // Shaders that came from Shadertoy already have a mainImage, drop the main() calling it
+    const mainRegex = /\bvoid\s+main\s*\(\s*(?:void)?\s*\)/;
+    if (/\bvoid\s+mainImage\s*\(/.test(code)) code = removeFunction(code, mainRegex);
+    else code = code.replace(mainRegex, 'void mainImage(out vec4 fragColor, in vec2 fragCoord)');
+
+    if (outMatch && outMatch[1] !== 'fragColor') code = replaceWord(code, outMatch[1], 'fragColor');
+    code = replaceWord(code, 'gl_FragColor', 'fragColor');
+    code = replaceWord(code, 'texture2D', 'texture');
+    code = replaceWord(code, 'v_texcoord', '(fragCoord / iResolution.xy)');
+
+    samplers.slice(0, 4).forEach((sampler, channel) => {
+        code = code.replace(new RegExp('vec3\\(\\s*' + sampler + 'Resolution\\s*,\\s*1\\.0\\s*\\)', 'g'), 'iChannelResolution[' + channel + ']');
+        code = replaceWord(code, sampler + 'Resolution', 'iChannelResolution[' + channel + '].xy');
+        code = replaceWord(code, sampler, 'iChannel' + channel);
+    });
+    code = code
+        .replace(/\bvec3\(\s*u_resolution\s*,\s*1\.0\s*\)/g, 'iResolution')
+        .replace(/\bvec4\(\s*u_mouse\s*,\s*0\.0\s*,\s*0\.0\s*\)/g, 'iMouse')
+        .replace(/\bu_resolution\.([xy]{1,2})\b/g, 'iResolution.$1')
+        .replace(/\bu_mouse\.([xy]{1,2})\b/g, 'iMouse.$1');
+    code = replaceWord(code, 'u_resolution', 'iResolution.xy');
+    code = replaceWord(code, 'u_mouse', 'iMouse.xy');
+    code = replaceWord(code, 'u_time', 'iTime');
+    code = replaceWord(code, 'u_delta', 'iTimeDelta');
+    code = replaceWord(code, 'u_frame', 'iFrame');
+    code = replaceWord(code, 'u_date', 'iDate');
+    code = code.replace(/\n{3,}/g, '\n\n').trim() + '\n';
+
+    const channelNotes = samplers.slice(0, 4).map((sampler, channel) => {
+        const buffer = sampler.match(/^u_(?:buffer|doubleBuffer)(\d+)$/);
+        const source = (buffer && bufferNames[buffer[1]]) ? bufferNames[buffer[1]] : 'a texture';
+        return '// iChannel' + channel + ': ' + sampler + ' (' + source + ')';
+    }).join('\n');
+    const header = channelNotes ? channelNotes + '\n' : '';
+
+    // Every BUFFER_N and DOUBLE_BUFFER_N of the shader is a pass of its own, the preprocessor picks its branch
+    const buffers = [...new Set(frag.match(/\b(?:DOUBLE_)?BUFFER_\d+\b/g) || [])]
+        .map((define) => ({ define, n: parseInt(define.match(/\d+$/)[0], 10) }))
+        .sort((a, b) => a.n - b.n);
+    const passes = [];
+    const named = new Set();
+    buffers.forEach(({ define, n }) => {
+        if (n >= bufferNames.length) {
+            warnings.push('Shadertoy only has 4 buffers, ' + define + ' left out');
+            return;
+        }
+        if (named.has(n)) {
+            warnings.push(define + ' shares ' + bufferNames[n] + ' with another buffer, left out');
+            return;
+        }
+        named.add(n);
+        passes.push({ name: bufferNames[n], code: header + '#define ' + define + '\n\n' + code });
+    });
+    passes.push({ name: 'Image', code: header + code });
+
+    return { passes, warnings };
+}
+
+export function formatShadertoyExport(passes) {
+    if (passes.length === 1) return passes[0].code;
+    return passes.map((pass) => '// ---- ' + pass.name + ' ----\n' + pass.code).join('\n');
+}
@@ -0,0 +1,166 @@
+// State Module
+// Versioned snapshot of the scene state (view toggles, camera, light, sky, render
+// settings, defines, uniform values, geometry and time) and the commands restoring it
+
+export const stateVersion = 1;
+
+const viewCommands = ['plot', 'textures', 'buffers', 'floor', 'cubemap', 'axis', 'grid', 'bboxes'];
+
+// [state key, command, kind] of every value the engine can both report and set
+const queryCommands = {
+    camera: [
+        ['type', 'camera_type', 'word'],
+        ['fov', 'camera_fov', 'number'],
+        ['position', 'camera_position', 'vector'],
+        ['lookAt', 'camera_look_at', 'vector']
+    ],
+    light: [
+        ['position', 'light_position', 'vector'],
+        ['color', 'light_color', 'vector'],
+        ['falloff', 'light_falloff', 'number'],
+        ['intensity', 'light_intensity', 'number']
+    ],
+    sky: [
+        ['enabled', 'sky', 'word'],
+        ['elevation', 'sun_elevation', 'number'],
+        ['azimuth', 'sun_azimuth', 'number'],
+        ['turbidity', 'sky_turbidity', 'number'],
+        ['floorColor', 'floor_color', 'vector']
+    ],
+    render: [
+        ['culling', 'culling', 'word'],
+        ['blend', 'blend', 'word'],
+        ['depthTest', 'depth_test', 'word'],
+        ['dynamicShadows', 'dynamic_shadows', 'word'],
+        ['origin', 'origin', 'vector']
+    ]
+};
+
+// Restore order: the sun moves the light, and the camera has to be picked before placing it
+const restoreOrder = ['sky', 'light', 'render', 'camera'];
+
+function parseAnswer(answer, kind) {
+    if (answer === null || answer === undefined) return null;
+    const text = String(answer).trim();
+    if (!text) return null;
+
+    if (kind === 'word') return /^[\w-]+$/.test(text) ? text : null;
+    if (kind === 'number') {
+        const value = parseFloat(text);
+        return isNaN(value) ? null : value;
+    }
+
+    const values = text.split(',').map(parseFloat);
+    return values.some(isNaN) ? null : values;
+}
+
+// Set every frame for video textures, nothing to restore
+const videoUniformRegex = /^u_tex\d+(Time|Duration)$/;
+
+function parseUniforms(text) {
+    // uniforms,defined prints name,x,y,z lines
+    const uniforms = {};
+    (text || '').split('\n').forEach((line) => {
+        const parts = line.trim().split(',');
+        if (parts.length < 2 || !/^\w+$/.test(parts[0])) return;
+        if (videoUniformRegex.test(parts[0])) return;
+
+        const values = parts.slice(1).map(parseFloat);
+        if (!values.some(isNaN)) uniforms[parts[0]] = values;
+    });
+    return uniforms;
+}
+
+// query: (cmd) => answer of the engine. tracked: what the engine can't report back,
+// { defines, exposure, camera, geometry, model } as followed from the commands sent
+// and the assets loaded
+export function captureState(query, tracked = {}) {
+    const state = { version: stateVersion, view: {} };
+
+    viewCommands.forEach((cmd) => {
+        const value = parseAnswer(query(cmd), 'word');
+        if (value !== null) state.view[cmd] = value;
+    });
+
+    Object.entries(queryCommands).forEach(([group, entries]) => {
+        state[group] = {};
+        entries.forEach(([key, cmd, kind]) => {
+            const value = parseAnswer(query(cmd), kind);
+            if (value !== null) state[group][key] = value;
+        });
+    });
+
+    state.camera.name = tracked.camera || null;
+    state.camera.exposure = tracked.exposure || null;
+    state.defines = { ...(tracked.defines || {}) };
+    state.uniforms = parseUniforms(query('uniforms,defined'));
+    state.geometry = [...(tracked.geometry || [])];
+    state.model = !!tracked.model || state.geometry.length > 0;
+    state.time = parseAnswer(query('time'), 'number');
+    state.pixelDensity = parseAnswer(query('pixel_density'), 'number');
+    return state;
+}
+
+function formatValue(value) {
+    return Array.isArray(value) ? value.join(',') : String(value);
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Commands bringing the engine to state. Values equal to the ones in defaults
+// (the state of a fresh engine) are left alone, as setting some adds defines.
+// Except the camera of a scene with a model, loading the model moves it
+export function stateToCommands(state, defaults = null) {
+    // Payloads saved before snapshots were versioned are plain command lists
+    if (!state.version) return [...(state.commands || [])];
+
+    const commands = [...(state.geometry || [])];
+    const changed = (group, key) => {
+        const value = state[group] ? state[group][key] : undefined;
+        if (value === undefined || value === null) return false;
+        if (group === 'camera' && state.model) return true;
+        return !defaults || !defaults[group] || !sameValue(value, defaults[group][key]);
+    };
+
+    Object.entries(state.view || {}).forEach(([cmd, value]) => {
+        if (changed('view', cmd)) commands.push(cmd + ',' + value);
+    });
+
+    Object.entries(state.defines || {}).forEach(([name, value]) => {
+        commands.push(value === null ? 'undefine,' + name : 'define,' + name + (value !== '' ? ',' + value : ''));
+    });
+
+    if (state.camera && state.camera.name) commands.push('camera,' + state.camera.name);
+
+    restoreOrder.forEach((group) => {
+        queryCommands[group].forEach(([key, cmd]) => {
+            if (changed(group, key)) commands.push(cmd + ',' + formatValue(state[group][key]));
+        });
+    });
+
+    if (state.camera && state.camera.exposure) {
+        commands.push('camera_exposure,' + formatValue(state.camera.exposure));
+    }
+
+    Object.entries(state.uniforms || {}).forEach(([name, values]) => {
+        commands.push(name + ',' + formatValue(values));
+    });
+
+    if (typeof state.time === 'number') commands.push('time,' + state.time);
+    return commands;
+}
+
+// Reads the state of a saved payload, converting older formats.
+// Returns null when there is nothing to restore
+export function readState(json) {
+    if (json.state && typeof json.state === 'object') {
+        if (json.state.version > stateVersion) {
+            console.warn('Scene state version ' + json.state.version + ' is newer than ' + stateVersion + ', some of it may be ignored');
+        }
+        return json.state;
+    }
+    if (Array.isArray(json.commands)) return { version: 0, commands: json.commands };
+    return null;
+}
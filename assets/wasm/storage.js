@@ -0,0 +1,70 @@
+// Storage Module
+// Small promise based key/value wrapper around IndexedDB
+
+export class IndexedDBStore {
+    constructor(dbName, storeName = 'keyval') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    isAvailable() {
+        return typeof window !== 'undefined' && !!window.indexedDB;
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!this.isAvailable()) {
+                reject(new Error('IndexedDB not available'));
+                return;
+            }
+
+            const request = window.indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow retrying on the next call if opening failed
+        this.dbPromise.catch(() => { this.dbPromise = null; });
+        return this.dbPromise;
+    }
+
+    async transaction(mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = callback(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    get(key) {
+        return this.transaction('readonly', (store) => store.get(key));
+    }
+
+    set(key, value) {
+        return this.transaction('readwrite', (store) => store.put(value, key));
+    }
+
+    delete(key) {
+        return this.transaction('readwrite', (store) => store.delete(key));
+    }
+
+    keys() {
+        return this.transaction('readonly', (store) => store.getAllKeys());
+    }
+
+    clear() {
+        return this.transaction('readwrite', (store) => store.clear());
+    }
+}
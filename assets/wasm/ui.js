@@ -1,6 +1,8 @@
 // UI Module
 // Handles all UI controls, buttons, console, fullscreen, and canvas focus management
 
+import { ConsoleLog } from './console.js';
+
 export function getQueryVariable(variable) {
     var query = window.location.search.substring(1);
     var vars = query.split('&');
@@ -18,7 +20,7 @@ export class UIManager {
         this.loader = document.getElementById('loader');
         this.loaderContent = this.loader ? this.loader.querySelector('.loader-content') : null;
         this.loaderCount = 0;
-        this.consoleOutput = document.getElementById('console-output');
+        this.consoleLog = new ConsoleLog('console-output', 'console-toolbar');
         
         // Expose loader methods globally
         window.glslViewerLoader = { 
@@ -47,28 +49,26 @@ export class UIManager {
         }
     }
 
-    logToConsole(text, isError = false) {
-        if (!this.consoleOutput) return;
-        const msg = document.createElement('div');
-        msg.textContent = text;
-        if (isError) msg.style.color = '#ff5555';
-        this.consoleOutput.appendChild(msg);
-        this.consoleOutput.scrollTop = this.consoleOutput.scrollHeight;
+    logToConsole(text, isError = false, source = 'app') {
+        // Echoed commands come in as '> cmd'
+        if (!isError && typeof text === 'string' && text.startsWith('> ')) {
+            this.consoleLog.log(text.substring(2), 'command', 'console');
+        } else {
+            this.consoleLog.log(text, isError ? 'stderr' : 'info', source);
+        }
     }
 
     clearConsole() {
-        if (this.consoleOutput) {
-            this.consoleOutput.innerHTML = '';
-        }
+        this.consoleLog.clear();
     }
 
     setupConsoleEvents() {
         window.addEventListener('wasm-stdout', (e) => {
-            this.logToConsole(e.detail, false);
+            this.consoleLog.log(e.detail, 'stdout', 'engine');
         });
 
         window.addEventListener('wasm-stderr', (e) => {
-            this.logToConsole(e.detail, true);
+            this.consoleLog.log(e.detail, 'stderr', 'engine');
         });
     }
 
@@ -152,38 +152,86 @@ export class UIManager {
         }
     }
 
-    setupTabSwitching(editorManager) {
+    setupTabSwitching(editorManager, callbacks = {}) {
+        this.editorManager = editorManager;
+        this.tabCallbacks = callbacks;
+        this.editorTabs = document.getElementById('editor-tabs');
+
         const tabFrag = document.querySelector('.tab[data-type="frag"]');
         const tabVert = document.querySelector('.tab[data-type="vert"]');
-
-        const switchTab = (type) => {
-            if (this.getFullscreen()) {
-                this.setFullscreen(false);
-            }
-            
-            editorManager.switchTab(type, () => {
-                // This is the onSwitch callback
-            });
-            
-            // Update UI
-            if (type === 'frag') {
-                if (tabFrag) tabFrag.classList.add('active');
-                if (tabVert) tabVert.classList.remove('active');
-            } else {
-                if (tabFrag) tabFrag.classList.remove('active');
-                if (tabVert) tabVert.classList.add('active');
-            }
-        };
+        const addTabBtn = document.getElementById('add-tab-btn');
 
         if (tabFrag) {
-            tabFrag.addEventListener('click', () => switchTab('frag'));
+            tabFrag.addEventListener('click', () => this.switchTab('frag'));
         }
         if (tabVert) {
             tabVert.style.display = 'inline-block';
-            tabVert.addEventListener('click', () => switchTab('vert'));
+            tabVert.addEventListener('click', () => this.switchTab('vert'));
+        }
+        if (addTabBtn) {
+            addTabBtn.addEventListener('click', () => {
+                const name = prompt('Enter a name for the include file (use it as #include "name"):', 'common.glsl');
+                if (name && callbacks.onAddFile) {
+                    callbacks.onAddFile(name.trim());
+                }
+            });
+        }
+    }
+
+    switchTab(type) {
+        if (this.getFullscreen()) {
+            this.setFullscreen(false);
+        }
+
+        // Flush pending edits of the current tab before leaving it
+        this.editorManager.switchTab(type, this.tabCallbacks.onSwitch);
+
+        // Update UI
+        if (this.editorTabs) {
+            this.editorTabs.querySelectorAll('.tab').forEach((tab) => {
+                tab.classList.toggle('active', tab.dataset.type === type);
+            });
         }
     }
 
+    addFileTab(name) {
+        if (!this.editorTabs) return;
+        if (this.editorTabs.querySelector('.tab[data-type="' + CSS.escape(name) + '"]')) return;
+
+        const tab = document.createElement('button');
+        tab.className = 'tab';
+        tab.dataset.type = name;
+        tab.textContent = name;
+
+        const close = document.createElement('span');
+        close.className = 'tab-close';
+        close.textContent = '×';
+        close.title = 'Remove ' + name;
+        close.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (confirm('Remove ' + name + ' from this project?') && this.tabCallbacks.onRemoveFile) {
+                this.tabCallbacks.onRemoveFile(name);
+            }
+        });
+
+        tab.appendChild(close);
+        tab.addEventListener('click', () => this.switchTab(name));
+
+        const addTabBtn = document.getElementById('add-tab-btn');
+        this.editorTabs.insertBefore(tab, addTabBtn);
+    }
+
+    removeFileTab(name) {
+        if (!this.editorTabs) return;
+        const tab = this.editorTabs.querySelector('.tab[data-type="' + CSS.escape(name) + '"]');
+        if (!tab) return;
+
+        if (tab.classList.contains('active')) {
+            this.switchTab('frag');
+        }
+        tab.remove();
+    }
+
     setupResizeButton(onToggle) {
         const btn = document.getElementById('resize-btn');
         const wrapper = document.getElementById('wrapper');
@@ -318,7 +366,7 @@ export class UIManager {
         }
     }
 
-    setupConsoleInput(onCommand) {
+    setupConsoleInput(onCommand, onScript) {
         const consoleInput = document.getElementById('console-input');
         if (consoleInput) {
             consoleInput.addEventListener('keydown', (e) => {
@@ -330,6 +378,15 @@ export class UIManager {
                     }
                 }
             });
+
+            // Pasting several lines runs them as a script
+            consoleInput.addEventListener('paste', (e) => {
+                const text = e.clipboardData ? e.clipboardData.getData('text') : '';
+                if (onScript && /\S[^\n]*\n[^\n]*\S/.test(text)) {
+                    e.preventDefault();
+                    onScript(text);
+                }
+            });
         }
     }
 
@@ -359,12 +416,13 @@ export class UIManager {
                 item.appendChild(label);
                 
                 item.addEventListener('click', () => {
+                    let done = Promise.resolve();
                     if (cmd === 'plot') {
                         let currentState = glslviewer.query(cmd) || 'off';
                         const currentIndex = cmds_plot_modes.indexOf(currentState);
                         const nextIndex = (currentIndex + 1) % cmds_plot_modes.length;
                         const newState = cmds_plot_modes[nextIndex];
-                        glslviewer.sendCommand(cmd + ',' + newState);
+                        done = glslviewer.run(cmd + ',' + newState);
                     } else if (cmd === 'fullscreen') {
                         const currentState = this.getFullscreen() ? 'on' : 'off';
                         const newState = (currentState === 'on') ? 'off' : 'on';
@@ -372,10 +430,13 @@ export class UIManager {
                     } else {
                         let currentState = glslviewer.query(cmd) || 'off';
                         const newState = (currentState === 'on') ? 'off' : 'on';
-                        glslviewer.sendCommand(cmd + ',' + newState);
+                        done = glslviewer.run(cmd + ',' + newState);
                     }
                     
-                    setTimeout(updateViewDropdownStates, 100);
+                    // Show the state once the engine changed it
+                    done.catch((err) => {
+                        if (!err.stderr) this.logToConsole(err.message, true);
+                    }).then(updateViewDropdownStates);
                 });
                 
                 viewDropdown.appendChild(item);
@@ -404,6 +465,11 @@ export class UIManager {
             });
         };
         
+        // Commands from the console change these too
+        glslviewer.on('stateChanged', () => {
+            if (viewDropdown.style.display === 'block') updateViewDropdownStates();
+        });
+        
         viewBtn.addEventListener('click', (e) => {
             e.stopPropagation();
             const isVisible = viewDropdown.style.display === 'block';
@@ -420,6 +486,120 @@ export class UIManager {
         });
     }
 
+    setupUniformsDropdown() {
+        const uniformsBtn = document.getElementById('uniforms-btn');
+        const uniformsPanel = document.getElementById('uniforms-panel');
+
+        if (!uniformsBtn || !uniformsPanel) return;
+
+        uniformsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const isVisible = uniformsPanel.style.display === 'block';
+            uniformsPanel.style.display = isVisible ? 'none' : 'block';
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!uniformsBtn.contains(e.target) && !uniformsPanel.contains(e.target)) {
+                uniformsPanel.style.display = 'none';
+            }
+        });
+    }
+
+    setupAssetsDropdown() {
+        const assetsBtn = document.getElementById('assets-btn');
+        const assetsPanel = document.getElementById('assets-panel');
+
+        if (!assetsBtn || !assetsPanel) return;
+
+        assetsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const isVisible = assetsPanel.style.display === 'block';
+            assetsPanel.style.display = isVisible ? 'none' : 'block';
+        });
+
+        document.addEventListener('click', (e) => {
+            // The panel re-renders on some clicks, a target no longer in the page was in it
+            if (!e.target.isConnected) return;
+            if (!assetsBtn.contains(e.target) && !assetsPanel.contains(e.target)) {
+                assetsPanel.style.display = 'none';
+            }
+        });
+    }
+
+    setupImportDropdown(callbacks) {
+        const importBtn = document.getElementById('import-btn');
+        const importDropdown = document.getElementById('import-dropdown');
+
+        if (!importBtn || !importDropdown) return;
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.fs,.json,.glsl,.frag,.txt';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            file.text().then((text) => {
+                if (callbacks.onImport) callbacks.onImport(text, file.name);
+            });
+        });
+        document.body.appendChild(fileInput);
+
+        const items = [
+            ['Open Shadertoy or ISF file...', () => fileInput.click()],
+            ['Paste from clipboard', () => {
+                navigator.clipboard.readText()
+                    .then((text) => { if (callbacks.onImport) callbacks.onImport(text, 'clipboard'); })
+                    .catch((err) => this.logToConsole('Error reading clipboard: ' + err.message, true));
+            }],
+            ['Copy as Shadertoy', () => {
+                const text = callbacks.onExport ? callbacks.onExport() : null;
+                if (!text) return;
+                navigator.clipboard.writeText(text)
+                    .then(() => this.logToConsole('Shadertoy source copied to clipboard'))
+                    .catch((err) => this.logToConsole('Error writing clipboard: ' + err.message, true));
+            }],
+            ['Download as Shadertoy', () => {
+                const text = callbacks.onExport ? callbacks.onExport() : null;
+                if (text) this.downloadText('shadertoy.glsl', text);
+            }]
+        ];
+
+        items.forEach(([text, action]) => {
+            const item = document.createElement('div');
+            item.className = 'dropdown-item';
+            item.textContent = text;
+            item.addEventListener('click', () => {
+                importDropdown.style.display = 'none';
+                action();
+            });
+            importDropdown.appendChild(item);
+        });
+
+        importBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const isVisible = importDropdown.style.display === 'block';
+            importDropdown.style.display = isVisible ? 'none' : 'block';
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!importBtn.contains(e.target) && !importDropdown.contains(e.target)) {
+                importDropdown.style.display = 'none';
+            }
+        });
+    }
+
+    downloadText(filename, text) {
+        const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 100);
+    }
+
     setupGitHubButtons(github, callbacks) {
         const newBtn = document.getElementById('new-btn');
         const loginBtn = document.getElementById('login-btn');
@@ -438,8 +618,11 @@ export class UIManager {
 
         if (newBtn) {
             newBtn.addEventListener('click', () => {
-                if (confirm('Create a new shader? This will clear your current work.')) {
-                    window.location.href = window.location.pathname;
+                if (confirm('Create a new shader? Your current work will be kept as a draft.')) {
+                    // Give the draft a chance to be saved before leaving the page
+                    Promise.resolve(callbacks.onNew ? callbacks.onNew() : null).finally(() => {
+                        window.location.href = window.location.pathname;
+                    });
                 }
             });
         }
@@ -470,15 +653,46 @@ export class UIManager {
         github.checkToken().then(updateUI);
     }
 
+    // Files of a dropped entry as { file, path }, walking into folders so the path
+    // keeps where each file sits (like car/textures/paint.png)
+    async readDroppedEntry(entry) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            return [{ file, path: entry.fullPath.replace(/^\//, '') }];
+        }
+
+        const reader = entry.createReader();
+        const files = [];
+        // readEntries returns them in batches, until an empty one
+        for (;;) {
+            const entries = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            if (entries.length === 0) break;
+            for (const child of entries) {
+                files.push(...await this.readDroppedEntry(child));
+            }
+        }
+        return files;
+    }
+
     setupFileDragDrop(onDrop) {
         const handleDrop = (e) => {
             e.preventDefault();
             e.stopPropagation();
             
-            const files = e.dataTransfer.files;
-            if (onDrop) {
+            // Entries are only readable during the event, get them before anything async
+            const items = Array.from(e.dataTransfer.items || []).filter((item) => item.kind === 'file');
+            const entries = items.map((item) => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null);
+            const files = Array.from(e.dataTransfer.files).map((file) => ({ file, path: file.name }));
+            if (!onDrop) return;
+
+            if (entries.length === 0 || entries.some((entry) => !entry)) {
                 onDrop(files);
+                return;
             }
+
+            Promise.all(entries.map((entry) => this.readDroppedEntry(entry)))
+                .then((lists) => onDrop(lists.flat()))
+                .catch((err) => this.logToConsole('Error reading dropped files: ' + err.message, true));
         };
         
         document.body.addEventListener('dragover', (e) => { 
@@ -0,0 +1,205 @@
+// Uniforms Module
+// Parses the uniform declarations of the active shaders and builds controls for them
+// (sliders, color pickers and toggles) that push their values to the engine
+
+const uniformRegex = /^\s*uniform\s+(?:(?:lowp|mediump|highp)\s+)?(float|vec2|vec3|vec4|bool)\s+([^;]+);(.*)$/;
+const rangeRegex = /\[\s*(-?[\d.]+(?:e-?\d+)?)\s*,\s*(-?[\d.]+(?:e-?\d+)?)\s*\]/;
+
+// Uniforms the engine already drives
+const builtinUniforms = [
+    'u_time', 'u_delta', 'u_date', 'u_frame', 'u_fps', 'u_resolution', 'u_mouse',
+    'u_camera', 'u_cameraPosition', 'u_cameraDistance', 'u_cameraNearClip', 'u_cameraFarClip',
+    'u_cameraEv100', 'u_cameraExposure', 'u_cameraAperture', 'u_cameraShutterSpeed', 'u_cameraSensitivity',
+    'u_light', 'u_lightColor', 'u_lightIntensity', 'u_lightFalloff', 'u_lightDirection',
+    'u_iblLuminance', 'u_SH', 'u_model', 'u_modelMatrix', 'u_viewMatrix', 'u_projectionMatrix', 'u_normalMatrix'
+];
+const builtinPrefixRegex = /^u_(tex|buffer|doubleBuffer|pyramid|convolution|flood|scene|lightShadowMap)/;
+
+const componentsCount = { float: 1, vec2: 2, vec3: 3, vec4: 4, bool: 1 };
+
+function formatValue(value) {
+    return parseFloat(value.toFixed(4)).toString();
+}
+
+export function hexToRgb(hex) {
+    const value = parseInt(hex.substring(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map((c) => c / 255);
+}
+
+export function rgbToHex(rgb) {
+    return '#' + rgb.slice(0, 3).map((c) => {
+        const v = Math.round(Math.min(Math.max(c, 0), 1) * 255);
+        return v.toString(16).padStart(2, '0');
+    }).join('');
+}
+
+export function parseUniforms(code) {
+    const uniforms = [];
+    if (!code) return uniforms;
+
+    code.split(/\r?\n/).forEach((line) => {
+        const match = line.match(uniformRegex);
+        if (!match) return;
+
+        const type = match[1];
+        const comment = match[3] || '';
+        const range = comment.match(rangeRegex);
+
+        match[2].split(',').forEach((declaration) => {
+            const name = declaration.trim();
+            // Arrays and engine uniforms are not tweakable
+            if (!/^\w+$/.test(name)) return;
+            if (builtinUniforms.includes(name) || builtinPrefixRegex.test(name)) return;
+
+            uniforms.push({
+                name: name,
+                type: type,
+                min: range ? parseFloat(range[1]) : 0,
+                max: range ? parseFloat(range[2]) : 1,
+                isColor: (type === 'vec3' || type === 'vec4') && (/colou?r/i.test(comment) || /colou?r/i.test(name))
+            });
+        });
+    });
+
+    return uniforms;
+}
+
+export class UniformsPanel {
+    constructor(glslviewer, elementId) {
+        this.glslviewer = glslviewer;
+        this.element = document.getElementById(elementId);
+        this.uniforms = [];
+        this.values = {};
+        this.onChange = null;
+    }
+
+    update(sources) {
+        const uniforms = [];
+        sources.forEach((code) => {
+            parseUniforms(code).forEach((uniform) => {
+                if (!uniforms.some((u) => u.name === uniform.name)) uniforms.push(uniform);
+            });
+        });
+
+        // Only rebuild the controls when the declarations changed
+        if (JSON.stringify(uniforms) === JSON.stringify(this.uniforms)) return;
+        this.uniforms = uniforms;
+        this.render();
+    }
+
+    getValue(uniform) {
+        const stored = this.values[uniform.name];
+        const count = componentsCount[uniform.type];
+        if (stored && stored.length === count) return stored;
+
+        const initial = Math.min(Math.max(0, uniform.min), uniform.max);
+        return new Array(count).fill(initial);
+    }
+
+    setValue(name, values) {
+        this.values[name] = values;
+        this.glslviewer.sendCommand(name + ',' + values.map(formatValue).join(','), false);
+        if (this.onChange) this.onChange(name, values);
+    }
+
+    loadCommands(commands) {
+        // Pick up values saved as u_name,x,y,z commands
+        commands.forEach((cmd) => {
+            const parts = cmd.split(',');
+            if (parts.length < 2 || !/^u_\w+$/.test(parts[0])) return;
+
+            const values = parts.slice(1).map(parseFloat);
+            if (values.some(isNaN)) return;
+            this.values[parts[0]] = values;
+        });
+        this.render();
+    }
+
+    getCommands() {
+        return Object.entries(this.values)
+            .filter(([name]) => this.uniforms.some((u) => u.name === name))
+            .map(([name, values]) => name + ',' + values.map(formatValue).join(','));
+    }
+
+    createSlider(uniform, values, index) {
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = uniform.min;
+        slider.max = uniform.max;
+        slider.step = (uniform.max - uniform.min) / 1000;
+        slider.value = values[index];
+
+        const number = document.createElement('span');
+        number.className = 'uniform-value';
+        number.textContent = formatValue(values[index]);
+
+        slider.addEventListener('input', () => {
+            const newValues = [...this.getValue(uniform)];
+            newValues[index] = parseFloat(slider.value);
+            number.textContent = formatValue(newValues[index]);
+            this.setValue(uniform.name, newValues);
+        });
+
+        const row = document.createElement('div');
+        row.className = 'uniform-slider';
+        row.appendChild(slider);
+        row.appendChild(number);
+        return row;
+    }
+
+    render() {
+        if (!this.element) return;
+        this.element.innerHTML = '';
+
+        if (this.uniforms.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'uniform-empty';
+            empty.textContent = 'No custom uniforms. Declare one like: uniform float u_speed; // [0, 10]';
+            this.element.appendChild(empty);
+            return;
+        }
+
+        this.uniforms.forEach((uniform) => {
+            const values = this.getValue(uniform);
+
+            const item = document.createElement('div');
+            item.className = 'uniform-item';
+
+            const label = document.createElement('div');
+            label.className = 'uniform-label';
+            label.textContent = uniform.name;
+            item.appendChild(label);
+
+            if (uniform.type === 'bool') {
+                const toggle = document.createElement('input');
+                toggle.type = 'checkbox';
+                toggle.checked = values[0] > 0;
+                toggle.addEventListener('change', () => {
+                    this.setValue(uniform.name, [toggle.checked ? 1 : 0]);
+                });
+                label.appendChild(toggle);
+            } else if (uniform.isColor) {
+                const picker = document.createElement('input');
+                picker.type = 'color';
+                picker.value = rgbToHex(values);
+                picker.addEventListener('input', () => {
+                    const newValues = [...this.getValue(uniform)];
+                    hexToRgb(picker.value).forEach((c, i) => { newValues[i] = c; });
+                    this.setValue(uniform.name, newValues);
+                });
+                label.appendChild(picker);
+
+                // Alpha channel
+                if (uniform.type === 'vec4') {
+                    item.appendChild(this.createSlider({ ...uniform, min: 0, max: 1 }, values, 3));
+                }
+            } else {
+                for (let i = 0; i < componentsCount[uniform.type]; i++) {
+                    item.appendChild(this.createSlider(uniform, values, i));
+                }
+            }
+
+            this.element.appendChild(item);
+        });
+    }
+}
@@ -0,0 +1,216 @@
+// Video Module
+// Plays video assets and live streams (like a webcam) on HTMLVideoElements and uploads their
+// frames into GL textures the engine binds to a uniform (with its Resolution, Time and Duration uniforms)
+
+export const videoTypes = {
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    mov: 'video/quicktime',
+    webm: 'video/webm',
+    mkv: 'video/x-matroska',
+    ogv: 'video/ogg',
+    mpg: 'video/mpeg',
+    mpeg: 'video/mpeg'
+};
+
+export function isVideo(name) {
+    return name.split('.').pop().toLowerCase() in videoTypes;
+}
+
+export class VideoTextures {
+    constructor() {
+        // By asset name: { video, url, size, texture, id, uniform, uploadedTime, mirror, canvas }
+        this.videos = {};
+    }
+
+    getContext() {
+        const GL = window.Module.GL;
+        return (GL && GL.currentContext) ? GL.currentContext.GLctx : null;
+    }
+
+    // Starts playing data (the file, or its bytes) and resolves with the uniform its frames go to
+    add(name, data) {
+        const ext = name.split('.').pop().toLowerCase();
+        const blob = (data instanceof Blob) ? data : new Blob([data], { type: videoTypes[ext] });
+        const url = URL.createObjectURL(blob);
+        return this.start(name, (video) => {
+            video.loop = true;
+            video.src = url;
+        }, { url, size: blob.size });
+    }
+
+    // Same for a MediaStream, options.mirror flips it horizontally
+    addStream(name, stream, options = {}) {
+        return this.start(name, (video) => {
+            video.srcObject = stream;
+        }, { mirror: !!options.mirror });
+    }
+
+    // A video replacing another one of the same name only takes its place once it plays,
+    // if it can't the previous one stays
+    start(name, setSource, options) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.autoplay = true;
+        video.playsInline = true;
+        setSource(video);
+
+        const entry = { video, url: null, size: 0, texture: null, id: 0, uniform: '', uploadedTime: -1, mirror: false, canvas: null, ...options };
+
+        return new Promise((resolve, reject) => {
+            video.addEventListener('loadeddata', () => {
+                try {
+                    this.bind(name, entry);
+                } catch (err) {
+                    this.release(entry);
+                    reject(err);
+                    return;
+                }
+
+                // The engine binds the new texture now, the previous one can go
+                const previous = this.videos[name];
+                this.videos[name] = entry;
+                if (previous) this.release(previous);
+
+                video.play().catch((err) => console.warn('Could not autoplay ' + name + ':', err));
+                resolve(entry.uniform);
+            }, { once: true });
+            video.addEventListener('error', () => {
+                this.release(entry);
+                reject(new Error('can\'t decode ' + name + (video.error ? ': ' + video.error.message : '')));
+            }, { once: true });
+        });
+    }
+
+    // Creates the GL texture and has the engine bind it to a uniform. The texture stays ours,
+    // the engine never deletes it, see release
+    bind(name, entry) {
+        const GL = window.Module.GL;
+        const gl = this.getContext();
+        if (!gl) throw new Error('no GL context');
+
+        const texture = gl.createTexture();
+        const id = GL.getNewId(GL.textures);
+        texture.name = id;
+        GL.textures[id] = texture;
+
+        const previous = gl.getParameter(gl.TEXTURE_BINDING_2D);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.bindTexture(gl.TEXTURE_2D, previous);
+
+        entry.texture = texture;
+        entry.id = id;
+        entry.uploadedTime = -1;
+        this.upload(entry);
+
+        entry.uniform = window.Module.ccall('addVideoTexture', 'string', ['string', 'number', 'number', 'number'],
+            [name, entry.video.videoWidth, entry.video.videoHeight, id]);
+        if (!entry.uniform) throw new Error('the engine could not bind ' + name);
+    }
+
+    upload(entry) {
+        const gl = this.getContext();
+        if (!gl || !entry.texture || entry.video.readyState < 2) return false;
+        if (entry.video.currentTime === entry.uploadedTime) return false;
+
+        const previous = gl.getParameter(gl.TEXTURE_BINDING_2D);
+        gl.bindTexture(gl.TEXTURE_2D, entry.texture);
+        // Flipped like the images the engine loads
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, entry.mirror ? this.mirror(entry) : entry.video);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        gl.bindTexture(gl.TEXTURE_2D, previous);
+
+        entry.uploadedTime = entry.video.currentTime;
+        return true;
+    }
+
+    // The frame drawn flipped horizontally, for cameras to work like a mirror
+    mirror(entry) {
+        const video = entry.video;
+        if (!entry.canvas) entry.canvas = document.createElement('canvas');
+        const canvas = entry.canvas;
+        if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+        }
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(-1, 0, 0, 1, canvas.width, 0);
+        ctx.drawImage(video, 0, 0);
+        return canvas;
+    }
+
+    setMirror(name, mirror) {
+        const entry = this.videos[name];
+        if (!entry) return;
+        entry.mirror = mirror;
+        entry.uploadedTime = -1;
+    }
+
+    // Called every frame, uploads the videos that moved on
+    update() {
+        Object.entries(this.videos).forEach(([name, entry]) => {
+            if (!this.upload(entry)) return;
+            // Live streams last forever
+            const duration = isFinite(entry.video.duration) ? entry.video.duration : 0;
+            window.Module.ccall('setVideoTime', null, ['string', 'number', 'number'],
+                [name, entry.video.currentTime, duration]);
+        });
+    }
+
+    get(name) {
+        return this.videos[name] || null;
+    }
+
+    play(name) {
+        const entry = this.videos[name];
+        if (entry) return entry.video.play();
+        return Promise.resolve();
+    }
+
+    pause(name) {
+        const entry = this.videos[name];
+        if (entry) entry.video.pause();
+    }
+
+    seek(name, time) {
+        const entry = this.videos[name];
+        if (entry) entry.video.currentTime = Math.min(Math.max(time, 0), entry.video.duration || 0);
+    }
+
+    rename(from, to) {
+        if (!this.videos[from]) return;
+        this.videos[to] = this.videos[from];
+        delete this.videos[from];
+    }
+
+    // Call once the engine unloaded the asset, it would keep sampling a deleted texture otherwise
+    remove(name) {
+        const entry = this.videos[name];
+        if (!entry) return;
+
+        delete this.videos[name];
+        this.release(entry);
+    }
+
+    // Stops the video and deletes its texture
+    release(entry) {
+        entry.video.pause();
+        entry.video.srcObject = null;
+        entry.video.removeAttribute('src');
+        entry.video.load();
+        if (entry.url) URL.revokeObjectURL(entry.url);
+
+        const gl = this.getContext();
+        if (gl && entry.texture) {
+            gl.deleteTexture(entry.texture);
+            window.Module.GL.textures[entry.id] = null;
+        }
+        entry.texture = null;
+    }
+}
@@ -175,6 +175,7 @@ class WasmLoader extends HTMLElement {
                 // destroy shadowRoot to prevent memory leaks
                 this.shadowRoot.innerHTML = '';
                 window.module_loaded = true;
+                window.dispatchEvent(new CustomEvent('wasm-ready'));
                 
                 // Force hide the loader in case setStatus was called after monitorRunDependencies(0)
                 if (window.glslViewerLoader) {
@@ -197,13 +198,31 @@ class WasmLoader extends HTMLElement {
             canvas: (function() {
                 // var canvas = document.getElementById('canvas');
 
-                // As a default initial behavior, pop up an alert when webgl context is lost. To make your
-                // application robust, you may want to override this behavior before shipping!
+                // When the webgl context is lost the page reloads, but only once the browser restores
+                // the context (so the new page gets a working one), and saving the draft first.
                 // See http://www.khronos.org/registry/webgl/specs/latest/1.0/#5.15.2
+                let restoreTimeout = null;
                 canvas.addEventListener("webglcontextlost", function(e) { 
+                    // preventDefault is required for the browser to fire webglcontextrestored
                     e.preventDefault(); 
-                    // alert('WebGL context lost. You will need to reload the page.'); 
-                    location.reload();
+                    console.warn('WebGL context lost, waiting for it to be restored');
+                    window.dispatchEvent(new CustomEvent('wasm-contextlost'));
+
+                    // If the context never comes back, reload anyway
+                    if (restoreTimeout) clearTimeout(restoreTimeout);
+                    restoreTimeout = setTimeout(() => {
+                        if (window.glslViewerDrafts) window.glslViewerDrafts.reload();
+                        else location.reload();
+                    }, 10000);
+                }, false);
+
+                canvas.addEventListener("webglcontextrestored", function(e) {
+                    if (restoreTimeout) {
+                        clearTimeout(restoreTimeout);
+                        restoreTimeout = null;
+                    }
+                    console.log('WebGL context restored');
+                    window.dispatchEvent(new CustomEvent('wasm-contextrestored'));
                 }, false);
             
                 return canvas;
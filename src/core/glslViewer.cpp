@@ -67,7 +67,7 @@ GlslViewer::GlslViewer():
     m_view2d(1.0), m_time_offset(0.0), 
     m_camera_elevation(0.0), m_camera_azimuth(0.0), m_camera_id("default"),
     m_error_screen(vera::SHOW_MAGENTA_SHADER), 
-    m_change_viewport(true), m_update_buffers(true), m_initialized(false), 
+    m_change_viewport(true), m_update_buffers(true), m_shaders_changed(false), m_initialized(false), 
 
     // Debug
     m_showTextures(false), m_showPasses(false)
@@ -387,9 +387,16 @@ void GlslViewer::commandsInit(CommandList &_commands ) {
             std::cout << std::setprecision(6) << (vera::getTime() - m_time_offset) << std::endl;
             return true;
         }
+        else {
+            std::vector<std::string> values = vera::split(_line,',');
+            if (values.size() == 2) {
+                m_time_offset = vera::getTime() - vera::toFloat(values[1]);
+                return true;
+            }
+        }
         return false;
     },
-    "time", "return u_time, the elapsed time.", false));
+    "time[,<seconds>]", "get or set u_time, the elapsed time.", false));
 
     _commands.push_back(Command("defines", [&](const std::string& _line){ 
         if (_line == "defines") {
@@ -1427,6 +1434,7 @@ void GlslViewer::addDefine(const std::string &_define, const std::string &_value
         m_canvas_shader.addDefine(_define, _value);
 
     m_postprocessing_shader.addDefine(_define, _value);
+    m_shaders_changed = true;
     vera::flagChange();
 }
 
@@ -1447,6 +1455,7 @@ void GlslViewer::delDefine(const std::string &_define) {
         m_canvas_shader.delDefine(_define);
 
     m_postprocessing_shader.delDefine(_define);
+    m_shaders_changed = true;
     vera::flagChange();
 }
 
@@ -1599,6 +1608,7 @@ void GlslViewer::resetShaders( WatchFileList &_files ) {
 
     // Make sure this runs in main loop
     m_update_buffers = true;
+    m_shaders_changed = true;
 }
 
 // ------------------------------------------------------------------------- UPDATE
@@ -52,6 +52,11 @@ public:
     void                addDefine( const std::string &_define, const std::string &_value = "");
     void                delDefine( const std::string &_define );
 
+    // Shaders were reset or their defines changed since the flag was cleared,
+    // they compile the next time they render
+    bool                haveShadersChanged() const { return m_shaders_changed; }
+    void                clearShadersChanged() { m_shaders_changed = false; }
+
     // Getting some data out of Sandbox
     const std::string&  getSource( ShaderType _type ) const;
     SceneRender&        getSceneRender() { return m_sceneRender; }
@@ -161,6 +166,7 @@ protected:
     vera::ShaderErrorResolve        m_error_screen;
     bool                            m_change_viewport;
     bool                            m_update_buffers;
+    bool                            m_shaders_changed;
 
     bool                            m_initialized;
 
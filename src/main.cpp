@@ -12,6 +12,8 @@
 #endif
 
 #include <map>
+#include <cmath>
+#include <algorithm>
 #include <thread>
 #include <mutex>
 #include <atomic>
@@ -57,6 +59,17 @@ std::string                 about   = "GlslViewer " + version + " by Patricio Go
 std::string                 icon_base64 = "iVBORw0KGgoAAAANSUhEUgAAAEAAAABACAYAAACqaXHeAAACzklEQVR4XmMYBaMhMBoCoyEwkkOAkV6e/w8EpNjFCAT0cBtNA4BUT+PyMC0Dg+oBQC1P0yswqBYAxHic2JikplmEshFVAgCfgylNvrQ0GxQ4FAUALsfRKs/Swj6yA4DenoclZWrbS1YAYHMEvaotfAFBjhtIDoDB4HlqBgJJAUBtz8PMoyT1UOomogOAVp6HxeZABQITuc1NajsYV+FGjPsocQtRKQDdcdT2PLInqWk2MWYRDABaeh7mQHrYgSslMTHQCeDzJHpMUZIdSPUO3hRArZgh1hx62wcKLKJTALl5kxRPUSslkOJWmmYBcmKU3tkBZwBQmg8pSc7UDgR8fmGidT0LM5+UAKU08EF2EpsNaJYFsDmAGI9hU0NJ24BQBGMNAGrEAK5YwGc2LT2Py16CKYDS0Cc2JdDC88S4nSpZgFCKIRQI5HieWqmU4gCAOYTcQKDE89QIBIoCAN0B5AQCeiFFKNmSaidZhSAxVSMuz1ISCKR6npwqFt1vNKkGyQkEcj3PQCGg2YAIKYFAqecpqakoSgHUcPhAep6k3iCulEbLpEuNQpVmhSCywbQIBHp4nqgUQMghsICgZiBQy/PEuB1rGUBuoUKNQKBVzONyG9WrQUoCgV7JHjn7MlHS6KFmwUhtzxObdZnI9QShgCMlJdA65vG5hSYtQVIKxoFI9iRnAZAGYpMUesqgpJVGrl5S3Eq3mSFSA5BanidkDk2zACmNJXLVMlAIRidHiQ1A9CRMSd7GlR2oaSaxZpGdBcgtFEEBjs1xtAhQYiJ3dIkMqWUItpinJPYoKcOo4RZGchwwGAKBWm5gJDcGaFGQEeMWatvLSO0kiKuQY6ACoEWgM9LSYdQIDHy1DTXKHqoEAMijxFSLxDqYmmYRimCqBQDMImIcT0mqo3aNQ/UAQPYctQKDltUsTQOAksAYqLYFwygYDYHREBgNgZEUAgDEsgRgHB+UVwAAAABJRU5ErkJggg==";
 std::atomic<bool>           bKeepRunnig(true);
 int                         textureCounter  = 0;        // number of textures to load
+std::map<std::string, std::string> textureFiles;        // uniform each loaded texture file is bound to
+
+// Image sequences dropped on the web app, played at their own fps
+struct ImageSequence {
+    int     frames;
+    float   fps;
+    bool    loop;
+    double  elapsed;    // seconds played, only while streams play
+    int     frame;      // frame shown, -1 before the first one
+};
+std::map<std::string, ImageSequence> imageSequences;    // by uniform
 bool                        vFlip           = true;     // texture flip state 
 bool                        bScreensaverMode = false;
 bool                        bRunAtFullFps = false;
@@ -94,10 +107,92 @@ bool                        commands_ncurses = true;
 #else
 bool                        commands_ncurses = false;
 #endif
-void                        commandsRun(const std::string &_cmd);
-void                        commandsRun(const std::string &_cmd, std::mutex &_mutex);
+bool                        commandsRun(const std::string &_cmd);
+bool                        commandsRun(const std::string &_cmd, std::mutex &_mutex);
 void                        commandsInit();
 
+// Removes a texture (and its stream, if it is a video) from the uniforms
+bool unloadTexture(const std::string& _name) {
+    vera::TextureStreamsMap::iterator stream = sandbox.uniforms.streams.find(_name);
+    if (stream != sandbox.uniforms.streams.end())
+        sandbox.uniforms.streams.erase(stream);
+
+    vera::TexturesMap::iterator it = sandbox.uniforms.textures.find(_name);
+    if (it == sandbox.uniforms.textures.end())
+        return false;
+
+    delete it->second;
+    sandbox.uniforms.textures.erase(it);
+    imageSequences.erase(_name);
+    return true;
+}
+
+// Moves every image sequence to the frame its fps puts it at, once per loop. Their streams don't play
+// on their own (see loadSequence), and they stop with the rest of the streams
+void updateImageSequences() {
+    static bool wasPlaying = true;
+    bool playing = bStreamsPlaying && sandbox.uniforms.isPlaying();
+    for (std::map<std::string, ImageSequence>::iterator it = imageSequences.begin(); it != imageSequences.end(); ++it) {
+        ImageSequence& seq = it->second;
+        if (playing)
+            seq.elapsed += vera::getDelta();
+
+        // streams,play starts every stream, these keep following the sequence's fps instead
+        if (playing && !wasPlaying)
+            sandbox.uniforms.setStreamStop(it->first);
+
+        int frame = (int)(seq.elapsed * seq.fps);
+        if (seq.loop)
+            frame %= seq.frames;
+        else
+            frame = std::min(frame, seq.frames - 1);
+
+        if (frame == seq.frame)
+            continue;
+
+        seq.frame = frame;
+        sandbox.uniforms.setStreamPct(it->first, (float)frame / seq.frames);
+    }
+    wasPlaying = playing;
+}
+
+// Name to load a texture file under: a new uniform, or a temporary one when the file was loaded
+// before, so its texture is only replaced once the new one loads
+std::string textureName(const std::string& _path) {
+    std::map<std::string, std::string>::iterator it = textureFiles.find(_path);
+    if (it == textureFiles.end())
+        return "u_tex" + vera::toString(textureCounter);
+
+    return it->second + "_loading";
+}
+
+// Binds the texture loaded as _name to the uniform of the file, replacing the one it had. Returns the uniform
+std::string textureLoaded(const std::string& _path, const std::string& _name) {
+    std::map<std::string, std::string>::iterator it = textureFiles.find(_path);
+    if (it == textureFiles.end()) {
+        textureCounter++;
+        textureFiles[_path] = _name;
+        return _name;
+    }
+
+    std::string uniform = it->second;
+    unloadTexture(uniform);
+
+    vera::TexturesMap::iterator tex = sandbox.uniforms.textures.find(_name);
+    if (tex != sandbox.uniforms.textures.end()) {
+        sandbox.uniforms.textures[uniform] = tex->second;
+        sandbox.uniforms.textures.erase(tex);
+    }
+
+    vera::TextureStreamsMap::iterator stream = sandbox.uniforms.streams.find(_name);
+    if (stream != sandbox.uniforms.streams.end()) {
+        sandbox.uniforms.streams[uniform] = stream->second;
+        sandbox.uniforms.streams.erase(stream);
+    }
+
+    return uniform;
+}
+
 void loadFile(std::string path) {
     if ( vera::haveExt(path,"frag") || vera::haveExt(path,"fs")  ) {
         if (sandbox.frag_index == -1) {
@@ -173,8 +268,10 @@ void loadFile(std::string path) {
                 vera::haveExt(path,"jpg") || vera::haveExt(path,"JPG") ||
                 vera::haveExt(path,"jpeg") || vera::haveExt(path,"JPEG")) {
 
-        if ( sandbox.uniforms.addTexture("u_tex" + vera::toString(textureCounter), path, vFlip) )
-            textureCounter++;
+        // Loading a file again replaces its texture, keeping the uniform it is bound to
+        std::string name = textureName(path);
+        if ( sandbox.uniforms.addTexture(name, path, vFlip) )
+            textureLoaded(path, name);
 
         commandsRun("update");
     }
@@ -185,8 +282,9 @@ void loadFile(std::string path) {
                 vera::haveExt(path,"mpg") || vera::haveExt(path,"MPG") ||
                 vera::haveExt(path,"mpeg") || vera::haveExt(path,"MPEG") ||
                 vera::haveExt(path,"h264") ) {
-        if ( sandbox.uniforms.addStreamingTexture("u_tex" + vera::toString(textureCounter), path, vFlip, false) )
-            textureCounter++;
+        std::string name = textureName(path);
+        if ( sandbox.uniforms.addStreamingTexture(name, path, vFlip, false) )
+            textureLoaded(path, name);
 
         commandsRun("update");
     }
@@ -214,18 +312,114 @@ void                        cinWatcherThread();
 #else
 
 // In WASM / EMSCRIPTEN projects there is nothreads, so instead of a Console IN rutine
-// we expose a command function for the client, and commands are excecute in the main loop
+// we expose a command function for the client, and commands are excecute in the main loop.
+// Commands from the client share one queue so they run in the order they were sent,
+// the ones with an id report their output back with Module.onCommandResult
+std::vector< std::pair<int, std::string> > commandsQueue;
+
+// Copies what is written to a stream while it lives, still letting it through to the console
+class StreamCapture : public std::streambuf {
+public:
+    StreamCapture(std::ostream &_stream) : m_stream(_stream), m_old(_stream.rdbuf(this)) { }
+    ~StreamCapture() { m_stream.rdbuf(m_old); }
+
+    const std::string& str() const { return m_buffer; }
+
+protected:
+    int overflow(int _c) override {
+        if (_c == EOF)
+            return _c;
+        m_buffer += (char)_c;
+        return m_old->sputc((char)_c);
+    }
+
+    std::streamsize xsputn(const char* _s, std::streamsize _n) override {
+        m_buffer.append(_s, _n);
+        return m_old->sputn(_s, _n);
+    }
+
+    int sync() override { return m_old->pubsync(); }
+
+private:
+    std::ostream&   m_stream;
+    std::streambuf* m_old;
+    std::string     m_buffer;
+};
+
+// Shaders compile lazily the next time they render, so the client is told a compile
+// started when they change, and that it ended once a frame rendered them. Compiler
+// errors are printed in between. _stage is the shader the client set, empty if none
+bool compiling = false;
+
+void compileStart(const std::string &_stage) {
+    compiling = true;
+    EM_ASM({
+        if (Module.onCompileStart)
+            Module.onCompileStart(UTF8ToString($0));
+    }, _stage.c_str());
+}
+
+void compileEnd() {
+    if (!compiling)
+        return;
+
+    compiling = false;
+    EM_ASM({
+        if (Module.onCompileEnd)
+            Module.onCompileEnd();
+    });
+}
+
+// Source string numbers tagging the compiler messages of the client's shaders
+const int FRAG_SOURCE_ID = 1;
+const int VERT_SOURCE_ID = 2;
+
+// Numbers the lines of a client shader from its own first line, whatever the engine
+// injects ahead of it (#version, defines), and tags its compiler messages with _id
+// as source string, so they tell which shader they belong to
+std::string numberLines(const std::string &_src, int _id) {
+    size_t start = _src.find_first_not_of(" \t\r\n");
+    if (start != std::string::npos && _src.compare(start, 8, "#version") == 0) {
+        // #version has to stay first
+        size_t end = _src.find('\n', start);
+        if (end == std::string::npos)
+            return _src;
+        int line = std::count(_src.begin(), _src.begin() + end + 1, '\n') + 1;
+        return _src.substr(0, end + 1) + "#line " + std::to_string(line) + " " + std::to_string(_id) + "\n" + _src.substr(end + 1);
+    }
+    return "#line 1 " + std::to_string(_id) + "\n" + _src;
+}
+
+void commandsRunQueued(int _id, const std::string &_cmd) {
+    if (_id == 0) {
+        commandsRun(_cmd);
+        return;
+    }
+
+    StreamCapture out(std::cout);
+    StreamCapture err(std::cerr);
+    bool resolved = commandsRun(_cmd);
+
+    EM_ASM({
+        if (Module.onCommandResult)
+            Module.onCommandResult($0, UTF8ToString($1), UTF8ToString($2), $3);
+    }, _id, out.str().c_str(), err.str().c_str(), resolved);
+}
+
 extern "C"  {
 
 #ifdef __EMSCRIPTEN__
 EMSCRIPTEN_KEEPALIVE
 #endif
+void command(char* c) {
+    commandsQueue.push_back( std::make_pair(0, std::string(c)) );
+}
 
 #ifdef __EMSCRIPTEN__
 EMSCRIPTEN_KEEPALIVE
 #endif
-void command(char* c) {
-    commandsArgs.push_back( std::string(c) );
+void commandWithId(int id, char* c) {
+    commandsQueue.push_back( std::make_pair(id, std::string(c)) );
 }
 
 #ifdef __EMSCRIPTEN__
@@ -254,7 +448,8 @@ char* query(char* c) {
 EMSCRIPTEN_KEEPALIVE
 #endif
 void setFrag(char* c) {
-    sandbox.setSource(FRAGMENT, std::string(c) );
+    compileStart("frag");
+    sandbox.setSource(FRAGMENT, numberLines(std::string(c), FRAG_SOURCE_ID) );
     sandbox.resetShaders(files);
 }
 
@@ -262,7 +457,8 @@ void setFrag(char* c) {
 EMSCRIPTEN_KEEPALIVE
 #endif
 void setVert(char* c) {
-    sandbox.setSource(VERTEX, std::string(c) );
+    compileStart("vert");
+    sandbox.setSource(VERTEX, numberLines(std::string(c), VERT_SOURCE_ID) );
     sandbox.resetShaders(files);
 }
 
@@ -273,6 +469,124 @@ void loadAsset(char* name, char* type) {
     loadFile(std::string(name));
 }
 
+#ifdef __EMSCRIPTEN__
+EMSCRIPTEN_KEEPALIVE
+#endif
+void loadSequence(char* name, char* folder, int frames, float fps, int loop) {
+    std::string path = std::string(name);
+    std::string name = textureName(path);
+    if ( sandbox.uniforms.addStreamingTexture(name, std::string(folder), vFlip, false) ) {
+        std::string uniform = textureLoaded(path, name);
+        imageSequences[uniform] = { std::max(frames, 1), fps, loop != 0, 0.0, -1 };
+        // Frames go at the sequence's fps, set by updateImageSequences
+        sandbox.uniforms.setStreamStop(uniform);
+    }
+
+    commandsRun("update");
+}
+
+#ifdef __EMSCRIPTEN__
+EMSCRIPTEN_KEEPALIVE
+#endif
+void setSequence(char* name, float fps, int loop) {
+    std::map<std::string, std::string>::iterator it = textureFiles.find(std::string(name));
+    if (it == textureFiles.end() || imageSequences.find(it->second) == imageSequences.end())
+        return;
+
+    ImageSequence& seq = imageSequences[it->second];
+    seq.fps = fps;
+    seq.loop = loop != 0;
+    seq.elapsed = 0.0;
+    seq.frame = -1;
+}
+
+// A GL texture the browser owns (the frames of a video), unloading it only unbinds it
+class ExternalTexture : public vera::Texture {
+public:
+    virtual ~ExternalTexture() { m_id = 0; }
+    virtual void clear() { m_id = 0; vera::Texture::clear(); }
+};
+
+#ifdef __EMSCRIPTEN__
+EMSCRIPTEN_KEEPALIVE
+#endif
+char* addVideoTexture(char* name, int width, int height, int id) {
+    // The browser decodes videos into the GL texture id, the engine only binds it
+    static std::string uniform;
+    std::string path = std::string(name);
+    std::string loading = textureName(path);
+
+    vera::Texture* tex = new ExternalTexture();
+    if (tex->load(width, height, id)) {
+        sandbox.uniforms.textures[loading] = tex;
+        uniform = textureLoaded(path, loading);
+    }
+    else {
+        delete tex;
+        uniform = "";
+    }
+
+    commandsRun("update");
+    return (char*)uniform.c_str();
+}
+
+#ifdef __EMSCRIPTEN__
+EMSCRIPTEN_KEEPALIVE
+#endif
+void setVideoTime(char* name, float time, float duration) {
+    std::map<std::string, std::string>::iterator it = textureFiles.find(std::string(name));
+    if (it == textureFiles.end())
+        return;
+
+    sandbox.uniforms.set(it->second + "Time", time);
+    sandbox.uniforms.set(it->second + "Duration", duration);
+}
+
+#ifdef __EMSCRIPTEN__
+EMSCRIPTEN_KEEPALIVE
+#endif
+char* getAssetUniform(char* name) {
+    static std::string uniform;
+    std::map<std::string, std::string>::iterator it = textureFiles.find(std::string(name));
+    uniform = (it != textureFiles.end()) ? it->second : "";
+    return (char*)uniform.c_str();
+}
+
+#ifdef __EMSCRIPTEN__
+EMSCRIPTEN_KEEPALIVE
+#endif
+void unloadAsset(char* name) {
+    std::string path = std::string(name);
+
+    std::map<std::string, std::string>::iterator it = textureFiles.find(path);
+    if (it != textureFiles.end()) {
+        unloadTexture(it->second);
+        textureFiles.erase(it);
+    }
+    else if (sandbox.geom_index != -1 && files[sandbox.geom_index].path == path) {
+        commandsRun("models,clear");
+    }
+    else if ( vera::haveExt(path,"hdr") || vera::haveExt(path,"HDR") ) {
+        commandsRun("cubemap,off");
+    }
+
+    commandsRun("update");
+}
+
+#ifdef __EMSCRIPTEN__
+EMSCRIPTEN_KEEPALIVE
+#endif
+void renameAsset(char* from, char* to) {
+    std::map<std::string, std::string>::iterator it = textureFiles.find(std::string(from));
+    if (it != textureFiles.end()) {
+        textureFiles[std::string(to)] = it->second;
+        textureFiles.erase(it);
+    }
+
+    if (sandbox.geom_index != -1 && files[sandbox.geom_index].path == std::string(from))
+        files[sandbox.geom_index].path = std::string(to);
+}
+
 #ifdef __EMSCRIPTEN__
 EMSCRIPTEN_KEEPALIVE
 #endif
@@ -330,6 +644,21 @@ void loop() {
             commandsRun(commandsArgs[i]);
         commandsArgs.clear();
     }
+
+    if (sandbox.isReady() && commandsQueue.size() > 0) {
+        // Commands can queue new ones while running, those wait for the next frame
+        std::vector< std::pair<int, std::string> > queue;
+        queue.swap(commandsQueue);
+        for (size_t i = 0; i < queue.size(); i++)
+            commandsRunQueued(queue[i].first, queue[i].second);
+    }
+
+    // Commands (like define) and assets (like models) can change the shaders too
+    if (sandbox.haveShadersChanged()) {
+        if (!compiling)
+            compileStart("");
+        sandbox.clearShadersChanged();
+    }
     #else
     // If nothing in the scene change skip the frame and try to keep it at 60fps
     if (!bTerminate && !bRunAtFullFps && !sandbox.haveChange()) {
@@ -338,6 +667,11 @@ void loop() {
     }
     #endif
 
+    #ifdef __EMSCRIPTEN__
+    // Image sequences of the web app go at their own fps
+    updateImageSequences();
+    #endif
+
     // PREP for main render:
     //  - update uniforms
     //  - render buffers, double buffers and pyramid convolutions
@@ -380,6 +714,14 @@ void loop() {
     TRACK_END("render:swap")
 
     #if defined(__EMSCRIPTEN__)
+    // Shaders that changed were all compiled by this frame (buffers and post-processing included)
+    compileEnd();
+
+    // Let the client know a frame was drawn
+    EM_ASM({
+        if (Module.onFrame)
+            Module.onFrame();
+    });
     return (vera::getXR() == vera::NONE_XR_MODE);
     #endif
 }
@@ -1253,8 +1595,8 @@ int main(int argc, char **argv) {
 
 // Events
 //============================================================================
-void commandsRun(const std::string &_cmd) { commandsRun(_cmd, commandsMutex); }
-void commandsRun(const std::string &_cmd, std::mutex &_mutex) {
+bool commandsRun(const std::string &_cmd) { return commandsRun(_cmd, commandsMutex); }
+bool commandsRun(const std::string &_cmd, std::mutex &_mutex) {
     bool resolve = false;
 
     // Check if _cmd is present in the list of commands
@@ -1276,9 +1618,11 @@ void commandsRun(const std::string &_cmd, std::mutex &_mutex) {
     // If nothing match maybe the user is trying to define the content of a uniform
     if (!resolve) {
         _mutex.lock();
-        sandbox.uniforms.parseLine(_cmd);
+        resolve = sandbox.uniforms.parseLine(_cmd);
         _mutex.unlock();
     }
+
+    return resolve;
 }
 
 void commandsInit() {
@@ -1302,7 +1646,7 @@ void commandsInit() {
             if (values.size() == 2) {
                 for (size_t i = 0; i < commands.size(); i++) {
                     if (commands[i].trigger == values[1]) {
-                        std::cout << commands[i].trigger << std::left << std::setw(16) << "   " << commands[i].description << std::endl;
+                        std::cout << commands[i].formula << std::left << std::setw(16) << "   " << commands[i].description << std::endl;
                     }
                 }
                 return true;